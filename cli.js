@@ -0,0 +1,460 @@
+// Command-line subcommands for scripts and git hooks that don't speak MCP.
+// Each command is a thin front end over one tool: arguments are mapped to the
+// tool's input, and the call goes through an in-process MCP client, so input
+// schemas, budgets, repo policy, tool restrictions and the audit log all apply
+// exactly as they do for MCP clients.
+//
+//   mcp-server-cloud-agent run-task acme/web "Fix the flaky login test" --draft
+//   mcp-server-cloud-agent sessions --status running --json
+//
+// Exit codes: 0 on success, 1 when the call fails, 2 on a usage error.
+
+const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+const { InMemoryTransport } = require("@modelcontextprotocol/sdk/inMemory.js");
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+// Backend requests carry their own timeouts, so the in-process call only
+// needs an upper bound longer than any of them.
+const CALL_TIMEOUT_MS = 2 * 60 * 60 * 1000;
+
+class UsageError extends Error {}
+
+// ── Commands ────────────────────────────────────────────────────────
+// `args` are positional tool arguments; a trailing "..." collects the rest of
+// the words. Each option maps a flag to a tool argument and how to read it.
+
+const TASK_OPTIONS = {
+  async: { arg: "mode", type: "flag", value: "async", help: "Return a session handle instead of waiting" },
+  "idempotency-key": { arg: "idempotency_key", type: "string", help: "Attach to an earlier call with the same key" },
+};
+
+const PR_OPTIONS = {
+  "base-branch": { arg: "base_branch", type: "string", help: "Branch to base changes on (default: main)" },
+  draft: { arg: "draft", type: "flag", value: true, help: "Open the PR as a draft" },
+  "head-branch": { arg: "head_branch", type: "string", help: "Name of the branch to push" },
+  reviewer: { arg: "reviewers", type: "list", help: "Request a review (repeatable)" },
+  label: { arg: "labels", type: "list", help: "Add a label (repeatable)" },
+  "commit-style": { arg: "commit_message_style", type: "string", help: "How to write commit messages" },
+  issue: { arg: "linked_issues", type: "integers", help: "Issue number the PR resolves (repeatable)" },
+};
+
+const COMMANDS = {
+  "run-task": {
+    tool: "run_task",
+    args: ["repo", "task..."],
+    options: { ...PR_OPTIONS, ...TASK_OPTIONS, "dry-run": { arg: "dry_run", type: "flag", value: true, help: "Return a plan and diff without opening a PR" } },
+    summary: "Run a coding task and open a PR",
+  },
+  plan: {
+    tool: "plan_task",
+    args: ["repo", "task..."],
+    options: { "base-branch": PR_OPTIONS["base-branch"], ...TASK_OPTIONS },
+    summary: "Plan a task without touching the repository",
+  },
+  "apply-plan": {
+    tool: "apply_plan",
+    args: ["plan_id"],
+    options: { ...PR_OPTIONS, ...TASK_OPTIONS },
+    summary: "Open a PR from a plan",
+  },
+  review: {
+    tool: "review_pr",
+    args: ["pr_url"],
+    options: {
+      focus: { arg: "focus", type: "list", help: "security, performance, correctness or style (repeatable)" },
+      "min-severity": { arg: "min_severity", type: "string", help: "info, low, medium, high or critical" },
+      include: { arg: "include_paths", type: "list", help: "Only files matching this glob (repeatable)" },
+      exclude: { arg: "exclude_paths", type: "list", help: "Skip files matching this glob (repeatable)" },
+      post: { arg: "post_comments", type: "flag", value: true, help: "Post review comments to GitHub" },
+      "post-min-severity": { arg: "post_min_severity", type: "string", help: "With --post, only post findings this severe" },
+    },
+    summary: "Review a pull request",
+  },
+  ask: {
+    tool: "ask_codebase",
+    args: ["repo", "question..."],
+    options: {
+      conversation: { arg: "conversation_id", type: "string", help: "Follow up on an earlier answer" },
+      ref: { arg: "ref", type: "string", help: "Branch, tag or commit SHA to answer against" },
+      path: { arg: "paths", type: "list", help: "Only look at this path or glob (repeatable)" },
+    },
+    summary: "Ask a question about a codebase",
+  },
+  test: {
+    tool: "generate_tests",
+    args: ["repo", "files..."],
+    options: {
+      framework: { arg: "framework", type: "string", help: "Test framework, e.g. vitest, jest, pytest" },
+      coverage: { arg: "coverage_threshold", type: "integer", help: "Target line coverage in percent" },
+      "per-file": { arg: "pr_grouping", type: "flag", value: "per_file", help: "Open one PR per file" },
+      "no-pr": { arg: "no_pr", type: "flag", value: true, help: "Print the generated tests instead of opening a PR" },
+      ...TASK_OPTIONS,
+    },
+    summary: "Generate tests for files or globs and open a PR",
+  },
+  scan: {
+    tool: "security_scan",
+    args: ["repos..."],
+    options: { type: { arg: "type", type: "string", help: "all, dependencies, secrets or code (default: all)" } },
+    summary: "Run a security scan on one or more repos",
+  },
+  sessions: {
+    tool: "list_sessions",
+    options: {
+      limit: { arg: "limit", type: "integer", help: "Max sessions per page (default: 20)" },
+      status: { arg: "status", type: "string", help: "running, completed, error or cancelled" },
+      repo: { arg: "repo", type: "string", help: "Only sessions for this owner/repo" },
+      source: { arg: "source", type: "string", help: "Only sessions from this source, e.g. slack" },
+      user: { arg: "user", type: "string", help: "Only sessions started by this user" },
+      since: { arg: "since", type: "string", help: "Created at or after this date, e.g. 2025-01-31" },
+      until: { arg: "until", type: "string", help: "Created before this date" },
+      "has-pr": { arg: "has_pr", type: "flag", value: true, help: "Only sessions that opened a PR" },
+      "no-pr": { arg: "has_pr", type: "flag", value: false, help: "Only sessions that didn't open a PR" },
+      oldest: { arg: "sort", type: "flag", value: "oldest", help: "Oldest first" },
+      cursor: { arg: "cursor", type: "string", help: "Continue from a previous page" },
+    },
+    summary: "List recent sessions",
+    subcommands: {
+      show: { tool: "get_session", args: ["session_id"], summary: "Show one session" },
+      wait: {
+        tool: "wait_for_session",
+        args: ["session_id"],
+        options: { timeout: { arg: "timeout_seconds", type: "integer", help: "Max seconds to wait (default: 300)" } },
+        summary: "Wait for a session to finish",
+      },
+      transcript: {
+        tool: "get_session_transcript",
+        args: ["session_id"],
+        options: {
+          offset: { arg: "offset", type: "integer", help: "Index of the first event (default: 0)" },
+          limit: { arg: "limit", type: "integer", help: "Max events to return (default: 100)" },
+          type: { arg: "types", type: "list", help: "Only this event type (repeatable)" },
+        },
+        summary: "Show a session's event log",
+      },
+      cancel: { tool: "cancel_session", args: ["session_id"], summary: "Cancel a running session" },
+    },
+  },
+  playbooks: {
+    tool: "list_playbooks",
+    summary: "List playbooks",
+    subcommands: {
+      run: {
+        tool: "run_playbook",
+        args: ["slug", "repo"],
+        options: { ...TASK_OPTIONS, input: { arg: "inputs", type: "record", help: "Template input as name=value (repeatable)" } },
+        summary: "Run a playbook against a repo",
+      },
+    },
+  },
+  usage: {
+    tool: "get_usage",
+    options: { days: { arg: "days", type: "integer", help: "Days to look back (default: all time)" } },
+    summary: "Show usage and cost statistics",
+  },
+};
+
+// Server options that may appear anywhere on the command line. They're read
+// by index.js, so the argument parser only has to skip them.
+const GLOBAL_OPTIONS = { json: false, mock: false, "read-only": false, "audit-log": true };
+
+// ── Argument parsing ────────────────────────────────────────────────
+
+// Server options that take a value, so the word after one isn't a command.
+const VALUE_OPTIONS = new Set(["audit-log", "transport", "host", "port"]);
+
+// The arguments for a command, with the command name moved first, or
+// undefined when argv asks for the server. Server options all start with
+// "--", so the first other word is the command, e.g. `--mock sessions`.
+function commandArgs(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    const word = argv[i];
+    if (!word.startsWith("-")) return [word, ...argv.slice(0, i), ...argv.slice(i + 1)];
+    if (VALUE_OPTIONS.has(word.slice(2))) i++;
+  }
+  return argv.includes("--help") ? argv : undefined;
+}
+
+// Resolves argv (without the node and script paths) to a command and the
+// tool arguments for it. The command name comes first, then an optional
+// subcommand; arguments and options may be mixed after that.
+function parseCommand(argv) {
+  const [name, ...rest] = argv;
+  let command = COMMANDS[name];
+  let label = name;
+  if (!command) throw new UsageError(`Unknown command "${name}".`);
+  if (command.subcommands?.[rest[0]] || (command.subcommands && rest[0] === "list")) {
+    command = command.subcommands[rest[0]] || command;
+    label = `${name} ${rest.shift()}`;
+  }
+
+  const args = {};
+  const words = [];
+  for (let i = 0; i < rest.length; i++) {
+    const word = rest[i];
+    if (word === "--") {
+      words.push(...rest.slice(i + 1));
+      break;
+    }
+    if (!word.startsWith("--")) {
+      words.push(word);
+      continue;
+    }
+    const eq = word.indexOf("=");
+    const flag = eq === -1 ? word.slice(2) : word.slice(2, eq);
+    if (flag in GLOBAL_OPTIONS) {
+      if (GLOBAL_OPTIONS[flag] && eq === -1) i++;
+      continue;
+    }
+    const option = command.options?.[flag];
+    if (!option) throw new UsageError(`${label}: unknown option --${flag}.`);
+    if (option.type === "flag") {
+      args[option.arg] = option.value;
+      continue;
+    }
+    const value = eq === -1 ? rest[++i] : word.slice(eq + 1);
+    if (value === undefined) throw new UsageError(`${label}: --${flag} needs a value.`);
+    args[option.arg] = optionValue(option, flag, value, args[option.arg]);
+  }
+
+  const positional = command.args || [];
+  for (const [i, spec] of positional.entries()) {
+    const key = spec.replace(/\.\.\.$/, "");
+    if (i >= words.length) throw new UsageError(`${label}: missing <${key}>.`);
+    if (spec.endsWith("...")) {
+      const values = words.slice(i);
+      args[key] = key === "repos" || key === "files" ? values : values.join(" ");
+      return { label, tool: command.tool, args };
+    }
+    args[key] = words[i];
+  }
+  if (words.length > positional.length) {
+    throw new UsageError(`${label}: unexpected argument "${words[positional.length]}".`);
+  }
+  return { label, tool: command.tool, args };
+}
+
+function optionValue(option, flag, value, previous) {
+  switch (option.type) {
+    case "integer":
+    case "integers": {
+      if (!/^-?\d+$/.test(value)) throw new UsageError(`--${flag} must be a whole number.`);
+      return option.type === "integer" ? Number(value) : [...(previous || []), Number(value)];
+    }
+    case "list":
+      return [...(previous || []), value];
+    case "record": {
+      const eq = value.indexOf("=");
+      if (eq < 1) throw new UsageError(`--${flag} must look like name=value.`);
+      return { ...previous, [value.slice(0, eq)]: value.slice(eq + 1) };
+    }
+    default:
+      return value;
+  }
+}
+
+const PLACEHOLDERS = { flag: "", string: " <value>", list: " <value>", integer: " <n>", integers: " <n>", record: " <name=value>" };
+
+function usageText() {
+  const lines = [
+    "Usage: mcp-server-cloud-agent [command] [options]",
+    "",
+    "With no command, starts the MCP server (stdio, or --transport http).",
+    "",
+    "Commands:",
+  ];
+  const describe = (label, command) => {
+    const args = (command.args || []).map((a) => `<${a}>`).join(" ");
+    lines.push(`  ${`${label} ${args}`.trim().padEnd(34)} ${command.summary}`);
+    for (const [flag, option] of Object.entries(command.options || {})) {
+      lines.push(`      --${flag}${PLACEHOLDERS[option.type]}`.padEnd(37) + option.help);
+    }
+  };
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    describe(name, command);
+    for (const [sub, subcommand] of Object.entries(command.subcommands || {})) describe(`${name} ${sub}`, subcommand);
+  }
+  lines.push(
+    "",
+    "Options for every command:",
+    "  --json                             Print the structured result as JSON",
+    "  --mock                             Use the built-in mock backend",
+    "  --read-only                        Refuse commands that can change a repository",
+    "  --audit-log <path>                 Append each call to a JSONL audit log",
+    "",
+    "Exit codes: 0 success, 1 the call failed, 2 usage error.",
+  );
+  return lines.join("\n");
+}
+
+// ── Output ──────────────────────────────────────────────────────────
+
+function formatCost(value) {
+  return typeof value === "number" ? `$${value.toFixed(2)}` : "-";
+}
+
+function formatDuration(ms) {
+  return typeof ms === "number" ? `${Math.round(ms / 1000)}s` : "-";
+}
+
+// Task-shaped results: run_task, plan_task, apply_plan, generate_tests,
+// run_playbook and wait_for_session.
+function formatTask(output) {
+  if (output.message || (output.session_id && !output.response)) {
+    return [`Session ${output.session_id}: ${output.status}`, output.message].filter(Boolean).join("\n");
+  }
+  const lines = [output.response || ""];
+  if (output.plan) lines.push("", output.plan);
+  if (output.diff) lines.push("", output.diff.replace(/\n$/, ""));
+  for (const file of output.test_files || []) lines.push("", `=== ${file.path}`, file.content.replace(/\n$/, ""));
+  lines.push("");
+  for (const url of output.pr_urls || (output.pr_url ? [output.pr_url] : [])) lines.push(`PR: ${url}`);
+  if (typeof output.coverage_pct === "number") lines.push(`Coverage: ${output.coverage_pct}%`);
+  if (output.plan_id) lines.push(`Plan: ${output.plan_id} (apply with: mcp-server-cloud-agent apply-plan ${output.plan_id})`);
+  lines.push(`Cost: ${formatCost(output.cost_usd)}  Duration: ${formatDuration(output.duration_ms)}`);
+  return lines.join("\n").trim();
+}
+
+function formatSession(session) {
+  return [
+    `Session:  ${session.id}`,
+    `Status:   ${session.status}`,
+    `Repo:     ${session.repo || "-"}`,
+    `Cost:     ${formatCost(session.cost_usd)}`,
+    `Duration: ${formatDuration(session.duration_ms)}`,
+    `PR:       ${session.pr_url || "-"}`,
+    `Created:  ${session.created_at || "-"}`,
+  ].join("\n");
+}
+
+function formatEvent(event) {
+  const { index, type, role, content, command, exit_code: exitCode, path, change, ...rest } = event;
+  let text;
+  if (command) text = `$ ${command}${exitCode === undefined ? "" : ` (exit ${exitCode})`}`;
+  else if (path) text = `${change || "changed"} ${path}`;
+  else if (content !== undefined) text = typeof content === "string" ? content : JSON.stringify(content);
+  else text = JSON.stringify(rest);
+  return `[${index}] ${role ? `${type}/${role}` : type}: ${text}`;
+}
+
+function formatTranscript(page) {
+  const lines = page.events.map(formatEvent);
+  if (!lines.length) lines.push("No events.");
+  if (page.next_offset !== null) lines.push("", `${page.total - page.next_offset} more events; continue with --offset ${page.next_offset}`);
+  return lines.join("\n");
+}
+
+function formatTable(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => row[i].length)));
+  return rows.map((row) => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd()).join("\n");
+}
+
+const FORMATTERS = {
+  run_task: formatTask,
+  plan_task: formatTask,
+  apply_plan: formatTask,
+  generate_tests: formatTask,
+  run_playbook: formatTask,
+  wait_for_session: formatTask,
+  ask_codebase: (answer) => [
+    answer.answer || "",
+    ...(answer.citations.length ? ["", "Sources:", ...answer.citations.map((c) => `  ${c.url || c.path}`)] : []),
+    "",
+    `Follow up with --conversation ${answer.conversation_id}`,
+  ].join("\n").trim(),
+  get_session: formatSession,
+  get_session_transcript: formatTranscript,
+  cancel_session: (output) => [output.session_id && `Session ${output.session_id}`, output.status || "cancelled"].filter(Boolean).join(": "),
+  list_sessions: ({ sessions, next_cursor: nextCursor }) => {
+    if (!sessions.length) return "No sessions.";
+    const table = formatTable([["ID", "STATUS", "REPO", "COST", "PR"], ...sessions.map((s) => [s.id, s.status, s.repo || "-", formatCost(s.cost_usd), s.pr_url || "-"])]);
+    return nextCursor ? `${table}\n\nMore sessions; continue with --cursor ${nextCursor}` : table;
+  },
+  get_usage: (usage) => [
+    `Sessions:    ${usage.total_sessions}`,
+    `Cost:        ${formatCost(usage.total_cost_usd)}`,
+    ...(typeof usage.estimated_hours_saved === "number" ? [`Hours saved: ${usage.estimated_hours_saved}`] : []),
+  ].join("\n"),
+  security_scan: (scan) => {
+    const summary = `Scanned ${scan.repos_scanned ?? "-"} repos: ${scan.vulnerabilities ?? 0} vulnerabilities, ${scan.secrets_found ?? 0} secrets.`;
+    const findings = (scan.findings || []).map((f) => (f && typeof f === "object"
+      ? `- [${f.severity || "?"}] ${[f.repo, f.package || f.file, f.advisory || f.description].filter(Boolean).join(": ")}`
+      : `- ${f}`));
+    return [summary, ...findings].join("\n");
+  },
+  list_playbooks: ({ playbooks }) => playbooks.length
+    ? formatTable(playbooks.map((p) => [p.slug, p.description || p.name || ""]))
+    : "No playbooks.",
+};
+
+// Human output uses a per-tool formatter where one exists, and otherwise the
+// text the tool already returns to MCP clients.
+function humanOutput(tool, result) {
+  const format = FORMATTERS[tool];
+  if (format && result.structuredContent) return format(result.structuredContent);
+  return result.content.filter((c) => c.type === "text").map((c) => c.text).join("\n");
+}
+
+// ── Run ─────────────────────────────────────────────────────────────
+
+// Runs one command and resolves to the process exit code. Results go to
+// stdout; progress and errors go to stderr.
+async function runCli(argv, { createServer, toolArgsProblem, version, json }) {
+  let command;
+  try {
+    if (!argv.length || argv[0] === "help" || argv.includes("--help")) {
+      console.log(usageText());
+      return EXIT_OK;
+    }
+    command = parseCommand(argv);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(`Error: ${e.message}\nRun "mcp-server-cloud-agent help" for usage.`);
+    return EXIT_USAGE;
+  }
+
+  const server = createServer();
+  const client = new Client({ name: "mcp-server-cloud-agent-cli", version });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  await client.connect(clientTransport);
+
+  // Ctrl-C cancels the call, which also cancels any session it started.
+  const controller = new AbortController();
+  const onSigint = () => controller.abort();
+  process.once("SIGINT", onSigint);
+  try {
+    const { tools } = await client.listTools();
+    if (!tools.some((t) => t.name === command.tool)) {
+      console.error(`Error: ${command.label} is disabled here (${command.tool} is turned off by read-only mode or CLOUD_AGENT_TOOLS_ALLOW/CLOUD_AGENT_TOOLS_DENY).`);
+      return EXIT_FAILED;
+    }
+    const problem = toolArgsProblem(command.tool, command.args);
+    if (problem) {
+      console.error(`Error: ${command.label}: ${problem}.\nRun "mcp-server-cloud-agent help" for usage.`);
+      return EXIT_USAGE;
+    }
+    const result = await client.callTool({ name: command.tool, arguments: command.args }, undefined, {
+      signal: controller.signal,
+      timeout: CALL_TIMEOUT_MS,
+      onprogress: json ? undefined : (progress) => console.error(`… ${progress.message || "working"}`),
+    });
+    if (result.isError) {
+      console.error(result.content.map((c) => c.text).join("\n"));
+      return EXIT_FAILED;
+    }
+    console.log(json ? JSON.stringify(result.structuredContent, null, 2) : humanOutput(command.tool, result));
+    return EXIT_OK;
+  } catch (e) {
+    console.error(`Error: ${controller.signal.aborted ? "Cancelled." : e.message}`);
+    return EXIT_FAILED;
+  } finally {
+    process.removeListener("SIGINT", onSigint);
+    await client.close();
+  }
+}
+
+module.exports = { runCli, commandArgs, parseCommand, usageText, COMMANDS };
@@ -1,43 +1,604 @@
 #!/usr/bin/env node
 
-const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+const { McpServer, ResourceTemplate } = require("@modelcontextprotocol/sdk/server/mcp.js");
 const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+const { StreamableHTTPServerTransport } = require("@modelcontextprotocol/sdk/server/streamableHttp.js");
+const { isInitializeRequest, SubscribeRequestSchema, UnsubscribeRequestSchema } = require("@modelcontextprotocol/sdk/types.js");
 const { z } = require("zod");
 const https = require("https");
 const http = require("http");
+const crypto = require("crypto");
+const tls = require("tls");
+const fs = require("fs");
+const { dirname, resolve: resolvePath } = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
 const { version } = require("./package.json");
 
 // ── Config ──────────────────────────────────────────────────────────
 
-const API_KEY = process.env.CLOUD_AGENT_API_KEY || "";
-const BASE_URL = (process.env.CLOUD_AGENT_URL || "https://agent.leddconsulting.com").replace(/\/$/, "");
+// --mock serves tools from the in-process mock backend (mock-backend.js),
+// which main() starts and points BASE_URL at. No real key is needed.
+const MOCK = cliFlag("mock");
+const API_KEY = process.env.CLOUD_AGENT_API_KEY || (MOCK ? "ca_mock" : "");
+let BASE_URL = (process.env.CLOUD_AGENT_URL || "https://agent.leddconsulting.com").replace(/\/$/, "");
+
+// Reads `--name value` or `--name=value` from the command line.
+function cliOption(name) {
+  const args = process.argv.slice(2);
+  const i = args.indexOf(`--${name}`);
+  if (i !== -1) return args[i + 1];
+  const inline = args.find((a) => a.startsWith(`--${name}=`));
+  return inline ? inline.slice(name.length + 3) : undefined;
+}
+
+function cliFlag(name) {
+  return process.argv.slice(2).includes(`--${name}`);
+}
+
+// Incoming MCP transport. Stdio is the default; "http" serves Streamable HTTP
+// so one shared instance can back several clients.
+const TRANSPORT = cliOption("transport") || process.env.CLOUD_AGENT_TRANSPORT || "stdio";
+const HTTP_HOST = cliOption("host") || process.env.CLOUD_AGENT_MCP_HOST || "127.0.0.1";
+const HTTP_PORT = Number(cliOption("port") || process.env.CLOUD_AGENT_MCP_PORT || 3000);
+const MCP_TOKEN = process.env.CLOUD_AGENT_MCP_TOKEN || "";
+// HTTP sessions whose client went away without a DELETE are closed after this.
+const HTTP_SESSION_IDLE_MS = (Number(process.env.CLOUD_AGENT_MCP_SESSION_IDLE_MINUTES) || 30) * 60 * 1000;
+
+// Retries for transient backend failures. Attempts includes the first try;
+// the deadline bounds the total time spent retrying a single call.
+const RETRY_MAX_ATTEMPTS = Math.max(1, Number(process.env.CLOUD_AGENT_RETRY_MAX_ATTEMPTS) || 3);
+const RETRY_DEADLINE_MS = (Number(process.env.CLOUD_AGENT_RETRY_DEADLINE_SECONDS) || 120) * 1000;
+
+// Local spending limits in USD for tools that start paid tasks. Unset means
+// no limit. The daily and per-repo totals cover the last 24 hours.
+const BUDGETS = {
+  process: { env: "CLOUD_AGENT_BUDGET_PROCESS_USD", limit: budgetLimit("CLOUD_AGENT_BUDGET_PROCESS_USD") },
+  daily: { env: "CLOUD_AGENT_BUDGET_DAILY_USD", limit: budgetLimit("CLOUD_AGENT_BUDGET_DAILY_USD") },
+  repo: { env: "CLOUD_AGENT_BUDGET_REPO_USD", limit: budgetLimit("CLOUD_AGENT_BUDGET_REPO_USD") },
+};
+
+// Public-key pins for the backend certificate, as base64 SHA-256 of the
+// SubjectPublicKeyInfo (the `sha256/` prefix is optional).
+const CERT_PINS = (process.env.CLOUD_AGENT_CERT_PINS || "").split(",").map((p) => p.trim().replace(/^sha256\/+/, "")).filter(Boolean);
+
+// Which tools are offered. Read-only mode drops every tool that can change a
+// repository; the deny list wins over the allow list.
+const READ_ONLY = cliFlag("read-only") || /^(1|true|yes)$/i.test(process.env.CLOUD_AGENT_READ_ONLY || "");
+const TOOLS_ALLOW = toolList(process.env.CLOUD_AGENT_TOOLS_ALLOW);
+const TOOLS_DENY = toolList(process.env.CLOUD_AGENT_TOOLS_DENY);
+
+function toolList(value) {
+  const names = (value || "").split(",").map((n) => n.trim()).filter(Boolean);
+  return names.length ? new Set(names) : undefined;
+}
+
+// Which repositories tools may touch; see repoRules(). The *_WRITE lists add
+// rules for calls that can change a repository.
+const REPO_RULES = {
+  allow: repoRules("CLOUD_AGENT_REPO_ALLOW"),
+  deny: repoRules("CLOUD_AGENT_REPO_DENY"),
+  allowWrite: repoRules("CLOUD_AGENT_REPO_ALLOW_WRITE"),
+  denyWrite: repoRules("CLOUD_AGENT_REPO_DENY_WRITE"),
+};
+
+// Opt-in JSONL record of every tool call. Rotated once it passes the size limit.
+const AUDIT_LOG_OPTION = cliOption("audit-log") || process.env.CLOUD_AGENT_AUDIT_LOG;
+const AUDIT_LOG = AUDIT_LOG_OPTION ? resolvePath(AUDIT_LOG_OPTION) : "";
+const AUDIT_LOG_MAX_BYTES = (Number(process.env.CLOUD_AGENT_AUDIT_LOG_MAX_MB) || 10) * 1024 * 1024;
+
+// Self-hosted forges as host=forge pairs, e.g. "gitlab.acme.com=gitlab".
+// github.com, gitlab.com and bitbucket.org are always known.
+const FORGE_HOSTS = forgeHosts(process.env.CLOUD_AGENT_FORGE_HOSTS);
+
+function forgeHosts(value) {
+  const hosts = new Map([["github.com", "github"], ["gitlab.com", "gitlab"], ["bitbucket.org", "bitbucket"]]);
+  for (const entry of (value || "").split(",").map((e) => e.trim()).filter(Boolean)) {
+    const [host, forge = ""] = entry.split("=").map((p) => p.trim().toLowerCase());
+    hosts.set(host, forge);
+  }
+  return hosts;
+}
+
+function budgetLimit(name) {
+  const value = process.env[name];
+  return value === undefined || value === "" ? Infinity : Number(value);
+}
 
 // ── Shared schemas ──────────────────────────────────────────────────
 
-const repoSchema = z.string().regex(/^[a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+$/, "Must be owner/repo format, e.g. 'facebook/react'");
-const prUrlSchema = z.string().url().regex(/^https:\/\/github\.com\/[^/]+\/[^/]+\/pull\/\d+/, "Must be a GitHub PR URL, e.g. https://github.com/owner/repo/pull/123");
+// Parsing lives in the Forges section below.
+const repoSchema = z.string().superRefine((value, ctx) => {
+  const { error } = parseRepo(value);
+  if (error) ctx.addIssue({ code: z.ZodIssueCode.custom, message: error });
+});
+const prUrlSchema = z.string().superRefine((value, ctx) => {
+  const { error } = parsePrUrl(value);
+  if (error) ctx.addIssue({ code: z.ZodIssueCode.custom, message: error });
+});
+const REPO_DESCRIPTION = "Repository as owner/repo on GitHub, or host/path on other forges, e.g. 'facebook/react', 'gitlab.com/group/subgroup/project' or 'bitbucket.org/workspace/repo'";
+const PR_URL_DESCRIPTION = "Full pull or merge request URL, e.g. https://github.com/owner/repo/pull/123, https://gitlab.com/group/project/-/merge_requests/45 or https://bitbucket.org/workspace/repo/pull-requests/7";
+
+// How the agent opens its PR. Sent as request fields, not folded into the prompt.
+const prOptionsSchema = {
+  draft: z.boolean().optional().describe("Open the PR as a draft (default: false)"),
+  head_branch: z.string().max(200).regex(/^(?!.*\.\.)(?![/-])[A-Za-z0-9._\/-]+(?<![\/.])$/, "Must be a valid branch name, e.g. 'fix/login-redirect'").optional().describe("Name of the branch to push, e.g. 'fix/login-redirect' (default: generated)"),
+  reviewers: z.array(z.string().regex(/^[A-Za-z0-9-]+(\/[A-Za-z0-9_.-]+)?$/, "Must be a username or org/team-slug")).max(15).optional().describe("Users or org/team-slug teams to request reviews from"),
+  labels: z.array(z.string().min(1).max(50)).max(20).optional().describe("Labels to add to the PR"),
+  commit_message_style: z.string().min(1).max(200).optional().describe("How to write commit messages, e.g. 'conventional' for Conventional Commits or 'imperative, no prefix'"),
+  linked_issues: z.array(z.number().int().positive()).max(20).optional().describe("Issue numbers in the same repo the PR resolves, e.g. [123]. Linked with closing keywords"),
+};
+const PR_FIELDS = ["base_branch", ...Object.keys(prOptionsSchema)];
+
+// ── Forges ──────────────────────────────────────────────────────────
+// Repos are owner/repo on github.com, or host/path anywhere else:
+// github.acme.com/owner/repo, gitlab.com/group/subgroup/project,
+// bitbucket.org/workspace/repo. Only GitLab nests groups. URLs and a trailing
+// .git are accepted and reduced to that canonical id.
+
+const FORGES = ["github", "gitlab", "bitbucket"];
+const MAX_GITLAB_DEPTH = 20;
+
+// Where each forge keeps a PR (GitLab: merge request) under the repo path.
+const PR_PATHS = {
+  github: /^\/(.+?)\/pull\/(\d+)(?:[/?#]|$)/,
+  gitlab: /^\/(.+?)\/-\/merge_requests\/(\d+)(?:[/?#]|$)/,
+  bitbucket: /^\/(.+?)\/pull-requests\/(\d+)(?:[/?#]|$)/,
+};
+const PR_EXAMPLES = {
+  github: "https://github.com/owner/repo/pull/123",
+  gitlab: "https://gitlab.com/group/project/-/merge_requests/45",
+  bitbucket: "https://bitbucket.org/workspace/repo/pull-requests/7",
+};
+
+// Line anchors for a file view, e.g. #L10-L20 on GitHub.
+const LINE_ANCHORS = {
+  github: (start, end) => `#L${start}${end > start ? `-L${end}` : ""}`,
+  gitlab: (start, end) => `#L${start}${end > start ? `-${end}` : ""}`,
+  bitbucket: (start, end) => `#lines-${start}${end > start ? `:${end}` : ""}`,
+};
+
+function unknownHost(host) {
+  return `${host} isn't a known forge. github.com, gitlab.com and bitbucket.org work out of the box; add self-hosted hosts to CLOUD_AGENT_FORGE_HOSTS, e.g. "${host}=gitlab"`;
+}
+
+function checkForgeHosts() {
+  for (const [host, forge] of FORGE_HOSTS) {
+    if (!/^[a-z0-9.-]+(:\d+)?$/.test(host)) throw new Error(`CLOUD_AGENT_FORGE_HOSTS has an invalid host "${host}". Use host=forge pairs like "gitlab.acme.com=gitlab".`);
+    if (!FORGES.includes(forge)) throw new Error(`CLOUD_AGENT_FORGE_HOSTS maps ${host} to "${forge}". Use one of: ${FORGES.join(", ")}.`);
+  }
+}
+
+// Returns { repo, forge, host } with repo as the canonical id, or { error }.
+function parseRepo(value) {
+  const segments = value.trim().replace(/^https?:\/\//i, "").replace(/\/+$/, "").replace(/\.git$/i, "").split("/");
+  // GitHub owners can't contain dots, so a dotted first segment is a host.
+  const host = /[.:]/.test(segments[0]) ? segments.shift().toLowerCase() : "github.com";
+  const forge = FORGE_HOSTS.get(host);
+  if (!forge) return { error: unknownHost(host) };
+  const maxDepth = forge === "gitlab" ? MAX_GITLAB_DEPTH : 2;
+  const valid = segments.every((s) => /^[A-Za-z0-9_.-]+$/.test(s) && s !== "." && s !== "..");
+  if (!valid || segments.length < 2 || segments.length > maxDepth) {
+    return { error: forge === "gitlab"
+      ? `Must be a GitLab project path like '${host}/group/project' or '${host}/group/subgroup/project'`
+      : host === "github.com"
+        ? "Must be owner/repo format, e.g. 'facebook/react', or host/path for another forge, e.g. 'gitlab.com/group/project'"
+        : `Must be a repo like '${host}/owner/repo'` };
+  }
+  const path = segments.join("/");
+  return { repo: host === "github.com" ? path : `${host}/${path}`, forge, host };
+}
+
+// Returns { repo, forge, host, number } for a PR or merge request URL, or { error }.
+function parsePrUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return { error: `Must be a URL, e.g. ${PR_EXAMPLES.github}` };
+  }
+  if (url.protocol !== "https:") return { error: `Must be an https:// URL, e.g. ${PR_EXAMPLES.github}` };
+  const forge = FORGE_HOSTS.get(url.host);
+  if (!forge) return { error: unknownHost(url.host) };
+  const match = url.pathname.match(PR_PATHS[forge]);
+  const kind = forge === "gitlab" ? "merge request" : "pull request";
+  if (!match) return { error: `Must be a ${kind} URL, e.g. ${PR_EXAMPLES[forge].replace(/^https:\/\/[^/]+/, `https://${url.host}`)}` };
+  const ref = parseRepo(`${url.host}/${match[1]}`);
+  return ref.error ? ref : { ...ref, number: Number(match[2]) };
+}
+
+// Request fields that tell the backend which forge a repo lives on.
+function forgeFields(repo) {
+  const ref = parseRepo(repo);
+  return { repo: ref.repo, forge: ref.forge, forge_host: ref.host };
+}
+
+// Web URL of a file at a commit, optionally anchored to a line range.
+function blobUrl(repo, sha, file, startLine, endLine) {
+  const { repo: id, forge, host } = parseRepo(repo);
+  const base = `https://${host === "github.com" ? `github.com/${id}` : id}`;
+  const blob = { github: "blob", gitlab: "-/blob", bitbucket: "src" }[forge];
+  const filePath = file.split("/").map(encodeURIComponent).join("/");
+  const anchor = startLine ? LINE_ANCHORS[forge](startLine, endLine || startLine) : "";
+  return `${base}/${blob}/${sha}/${filePath}${anchor}`;
+}
+
+// Other spellings of a repo (URLs, a github.com/ prefix, .git) collapse to
+// its canonical id, so policies, budgets and idempotency keys see one name.
+function canonicalRepos(args) {
+  const canonical = (repo) => parseRepo(repo).repo || repo;
+  const out = { ...args };
+  if (typeof args.repo === "string") out.repo = canonical(args.repo);
+  if (Array.isArray(args.repos)) out.repos = args.repos.map(canonical);
+  return out;
+}
+
+// ── Output schemas ──────────────────────────────────────────────────
+// Backends add fields over time, so objects pass unknown keys through; the
+// declared fields are the ones clients can rely on. Task results are built
+// locally (taskOutput/sessionHandle), so their shape stays closed.
+
+const nullableNumber = z.number().nullable().optional();
+const nullableString = z.string().nullable().optional();
+
+const testFileOutputSchema = z.object({
+  path: z.string(),
+  content: z.string(),
+  source_file: z.string().nullable(),
+});
+
+const taskOutputSchema = z.object({
+  response: z.string().optional(),
+  cost_usd: nullableNumber,
+  duration_ms: nullableNumber,
+  pr_url: nullableString,
+  pr_urls: z.array(z.string()).optional(),
+  test_files: z.array(testFileOutputSchema).optional(),
+  coverage_pct: nullableNumber,
+  session_id: z.string().optional(),
+  status: z.string().optional(),
+  message: z.string().optional(),
+  plan_id: z.string().optional(),
+  plan: z.string().optional(),
+  diff: z.string().optional(),
+});
+
+const sessionOutputSchema = z.object({
+  id: z.string(),
+  status: z.string(),
+  repo: nullableString,
+  source: nullableString,
+  cost_usd: nullableNumber,
+  duration_ms: nullableNumber,
+  pr_url: nullableString,
+  created_at: nullableString,
+}).passthrough();
+
+const transcriptOutputSchema = z.object({
+  session_id: z.string(),
+  offset: z.number(),
+  events: z.array(z.object({ index: z.number(), type: z.string() }).passthrough()),
+  total: z.number(),
+  next_offset: z.number().nullable(),
+  truncated: z.boolean(),
+});
+
+const playbookOutputSchema = z.object({
+  slug: z.string(),
+  name: z.string().optional(),
+  description: z.string().optional(),
+}).passthrough();
+
+const REVIEW_VERDICTS = ["approve", "request_changes", "comment"];
+const REVIEW_SEVERITIES = ["info", "low", "medium", "high", "critical"];
+const REVIEW_FOCUS = ["security", "performance", "correctness", "style"];
+
+const findingOutputSchema = z.object({
+  file: z.string().nullable(),
+  start_line: nullableNumber,
+  end_line: nullableNumber,
+  severity: z.enum(REVIEW_SEVERITIES),
+  category: z.string(),
+  message: z.string(),
+  suggested_fix: nullableString,
+  blocking: z.boolean(),
+}).passthrough();
+
+const reviewOutputSchema = z.object({
+  verdict: z.enum(REVIEW_VERDICTS).nullable(),
+  summary: nullableString,
+  findings: z.array(findingOutputSchema),
+  review: z.string().optional(),
+  posted: z.boolean().optional(),
+}).passthrough();
+
+const citationOutputSchema = z.object({
+  path: z.string(),
+  start_line: z.number().nullable(),
+  end_line: z.number().nullable(),
+  commit_sha: z.string().nullable(),
+  url: z.string().nullable(),
+});
+
+const answerOutputSchema = z.object({
+  answer: z.string().optional(),
+  conversation_id: z.string(),
+  ref: nullableString,
+  commit_sha: z.string().nullable(),
+  citations: z.array(citationOutputSchema),
+}).passthrough();
+
+const scanOutputSchema = z.object({
+  repos_scanned: nullableNumber,
+  vulnerabilities: nullableNumber,
+  secrets_found: nullableNumber,
+  findings: z.array(z.unknown()).optional(),
+}).passthrough();
+
+const usageOutputSchema = z.object({
+  total_sessions: z.number(),
+  total_cost_usd: nullableNumber,
+}).passthrough();
+
+// ── TLS and proxy ───────────────────────────────────────────────────
+
+// Agent for HTTPS calls to the backend, built by configureBackendTls() from
+// the proxy and TLS settings. Undefined means Node's default agent.
+let backendAgent;
+
+// HTTPS through an HTTP CONNECT proxy. The proxy only relays the encrypted
+// stream: TLS (including the API key) still runs end to end with the backend.
+class ProxyAgent extends https.Agent {
+  constructor(proxy, options) {
+    super(options);
+    this.proxy = proxy;
+  }
+
+  createConnection(options, callback) {
+    const { proxy } = this;
+    const target = `${options.host}:${options.port}`;
+    const headers = { Host: target };
+    if (proxy.username) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers["Proxy-Authorization"] = `Basic ${Buffer.from(credentials).toString("base64")}`;
+    }
+    const connectReq = (proxy.protocol === "https:" ? https : http).request({
+      hostname: proxy.hostname,
+      port: proxy.port || (proxy.protocol === "https:" ? 443 : 80),
+      method: "CONNECT",
+      path: target,
+      headers,
+      agent: false,
+      timeout: options.timeout,
+    });
+    connectReq.once("connect", (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        return callback(Object.assign(new Error(`Proxy refused CONNECT to ${target}: HTTP ${res.statusCode}`), { code: "EPROXY" }));
+      }
+      const secure = tls.connect({ ...options, socket, servername: options.servername || options.host });
+      const onError = (e) => callback(e);
+      secure.once("error", onError);
+      secure.once("secureConnect", () => {
+        secure.removeListener("error", onError);
+        callback(null, secure);
+      });
+    });
+    connectReq.once("timeout", () => connectReq.destroy(Object.assign(new Error("Proxy connection timed out"), { code: "ETIMEDOUT" })));
+    connectReq.once("error", callback);
+    connectReq.end();
+  }
+}
+
+// The proxy for `url` from HTTPS_PROXY, unless NO_PROXY exempts the host.
+// NO_PROXY entries are hostnames (matching subdomains too), optionally with a
+// port, or `*` for everything.
+function proxyFor(url) {
+  const proxy = process.env.HTTPS_PROXY || process.env.https_proxy;
+  if (!proxy || url.protocol !== "https:") return undefined;
+  const host = url.hostname.toLowerCase();
+  const port = url.port || "443";
+  for (const entry of (process.env.NO_PROXY || process.env.no_proxy || "").toLowerCase().split(/[\s,]+/).filter(Boolean)) {
+    if (entry === "*") return undefined;
+    const [, name, entryPort] = entry.match(/^(.*?)(?::(\d+))?$/);
+    if (entryPort && entryPort !== port) continue;
+    const domain = name.replace(/^\*?\./, "");
+    if (host === domain || host.endsWith(`.${domain}`)) return undefined;
+  }
+  return new URL(proxy.includes("://") ? proxy : `http://${proxy}`);
+}
+
+// Rejects a server whose public key isn't one of CLOUD_AGENT_CERT_PINS, on top
+// of the usual hostname check. Pins hash the DER SubjectPublicKeyInfo, like
+// openssl and HPKP do; `cert.pubkey` is only the bare key.
+function checkPinnedKey(host, cert) {
+  const err = tls.checkServerIdentity(host, cert);
+  if (err) return err;
+  const spki = new crypto.X509Certificate(cert.raw).publicKey.export({ type: "spki", format: "der" });
+  const pin = crypto.createHash("sha256").update(spki).digest("base64");
+  if (!CERT_PINS.includes(pin)) {
+    return new Error(`Certificate for ${host} doesn't match CLOUD_AGENT_CERT_PINS (got sha256/${pin}). Refusing to send the API key.`);
+  }
+  return undefined;
+}
+
+function readTlsFile(env) {
+  try {
+    return fs.readFileSync(process.env[env]);
+  } catch (e) {
+    throw new Error(`Could not read ${env} (${process.env[env]}): ${e.message}`);
+  }
+}
+
+function configureBackendTls() {
+  const options = { keepAlive: true };
+  if (process.env.CLOUD_AGENT_CA_FILE) options.ca = [...tls.rootCertificates, readTlsFile("CLOUD_AGENT_CA_FILE")];
+  if (process.env.CLOUD_AGENT_CLIENT_CERT || process.env.CLOUD_AGENT_CLIENT_KEY) {
+    if (!process.env.CLOUD_AGENT_CLIENT_CERT || !process.env.CLOUD_AGENT_CLIENT_KEY) {
+      throw new Error("Set both CLOUD_AGENT_CLIENT_CERT and CLOUD_AGENT_CLIENT_KEY for mutual TLS.");
+    }
+    options.cert = readTlsFile("CLOUD_AGENT_CLIENT_CERT");
+    options.key = readTlsFile("CLOUD_AGENT_CLIENT_KEY");
+    if (process.env.CLOUD_AGENT_CLIENT_KEY_PASSPHRASE) options.passphrase = process.env.CLOUD_AGENT_CLIENT_KEY_PASSPHRASE;
+  }
+  if (CERT_PINS.length) options.checkServerIdentity = checkPinnedKey;
+
+  const proxy = proxyFor(new URL(BASE_URL));
+  if (proxy) backendAgent = new ProxyAgent(proxy, options);
+  else if (Object.keys(options).length > 1) backendAgent = new https.Agent(options);
+}
 
 // ── HTTP helper ─────────────────────────────────────────────────────
 
 const MAX_RESPONSE_SIZE = 5 * 1024 * 1024; // 5MB
+const STREAM_ACCEPT = "text/event-stream, application/x-ndjson;q=0.9, application/json;q=0.8";
+
+// Splits a streamed response body into events. SSE frames carry the event
+// type in the `event:` field; NDJSON lines carry it in a `type` property.
+// Returns whatever trailing text has not formed a complete event yet.
+function parseStreamChunk(buffer, format, emit) {
+  const separator = format === "sse" ? /\r?\n\r?\n/ : /\r?\n/;
+  const parts = buffer.split(separator);
+  const rest = parts.pop();
+  for (const part of parts) {
+    if (!part.trim()) continue;
+    if (format === "sse") {
+      let type = "message";
+      const data = [];
+      for (const line of part.split(/\r?\n/)) {
+        if (line.startsWith("event:")) type = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+      }
+      if (data.length) emit(type, JSON.parse(data.join("\n")));
+    } else {
+      const { type, ...event } = JSON.parse(part);
+      emit(type || "message", event);
+    }
+  }
+  return rest;
+}
 
-function request(method, urlPath, body, timeout = 600_000) {
+function streamFormat(res) {
+  const type = String(res.headers?.["content-type"] || "");
+  if (type.startsWith("text/event-stream")) return "sse";
+  if (type.startsWith("application/x-ndjson")) return "ndjson";
+  return null;
+}
+
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_DELAY_MS = 10_000;
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "ENOTFOUND", "EAI_AGAIN", "ENETUNREACH", "EHOSTUNREACH"]);
+
+function httpError(message, res) {
+  const e = new Error(message);
+  e.status = res.statusCode;
+  e.retryAfter = res.headers?.["retry-after"];
+  e.sent = true;
+  return e;
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function retryAfterMs(value) {
+  if (value === undefined) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// A failure that happened before any bytes reached the backend is always
+// safe to retry. Anything later is only retried for GETs and for POSTs that
+// carry an Idempotency-Key, since replaying a bare POST like /query could
+// start a second task.
+function isRetryable(method, e, idempotent) {
+  if (e.sent === false && (RETRYABLE_CODES.has(e.code) || e.timedOut === true)) return true;
+  if (method !== "GET" && !idempotent) return false;
+  return RETRYABLE_STATUS.has(e.status) || RETRYABLE_CODES.has(e.code) || e.timedOut === true;
+}
+
+function sleep(ms, signal) {
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Request cancelled"));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error("Request cancelled"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function backoffMs(attempt) {
+  const ceiling = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+// Options:
+//   timeout      socket idle timeout in ms (default 10 minutes)
+//   onEvent      called with each progress event when the backend streams its
+//                response. Backends that reply with plain JSON are handled as usual.
+//   signal       AbortSignal that destroys the in-flight request
+//   onSession    called with the backend session ID as soon as it is known
+//   maxAttempts  overrides CLOUD_AGENT_RETRY_MAX_ATTEMPTS for this call
+//   headers      extra request headers
+//   idempotent   the backend deduplicates this call, so it is safe to retry
+async function request(method, urlPath, body, options = {}) {
+  const { maxAttempts = RETRY_MAX_ATTEMPTS, signal, idempotent } = options;
+  const deadline = Date.now() + RETRY_DEADLINE_MS;
+  // The audit log records the first endpoint a tool call hits.
+  const call = auditContext.getStore();
+  if (call && !call.path) Object.assign(call, { method, path: urlPath });
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await sendOnce(method, urlPath, body, options);
+    } catch (e) {
+      if (attempt >= maxAttempts || signal?.aborted || !isRetryable(method, e, idempotent)) throw e;
+      const delay = retryAfterMs(e.retryAfter) ?? backoffMs(attempt);
+      if (Date.now() + delay > deadline) throw e;
+      await sleep(delay, signal);
+    }
+  }
+}
+
+function sendOnce(method, urlPath, body, options) {
+  const { timeout = 600_000, onEvent, signal, onSession, headers: extraHeaders } = options;
+  const call = auditContext.getStore();
+  return new Promise((resolvePromise, rejectPromise) => {
+    let req;
+    const onAbort = () => {
+      req?.destroy();
+      reject(new Error("Request cancelled"));
+    };
+    const settle = (fn) => (value) => {
+      signal?.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+    const resolve = settle(resolvePromise);
+    const reject = settle(rejectPromise);
+    if (signal?.aborted) return onAbort();
+
     const fullUrl = `${BASE_URL}${urlPath}`;
     const parsed = new URL(fullUrl);
     const isHttps = parsed.protocol === "https:";
 
-    if (!isHttps && API_KEY) {
+    // Loopback traffic never leaves the machine, which is what lets a local
+    // mock backend run over plain HTTP.
+    if (!isHttps && API_KEY && !isLoopback(parsed.hostname.replace(/^\[|\]$/g, ""))) {
       return reject(new Error("Refusing to send API key over insecure HTTP. Use HTTPS."));
     }
 
     const mod = isHttps ? https : http;
 
     const headers = {
+      ...extraHeaders,
       "Content-Type": "application/json",
       "User-Agent": `mcp-server-cloud-agent/${version}`,
     };
     if (API_KEY) headers["Authorization"] = `Bearer ${API_KEY}`;
+    if (onEvent) headers["Accept"] = STREAM_ACCEPT;
 
     const opts = {
       hostname: parsed.hostname,
@@ -47,29 +608,79 @@ function request(method, urlPath, body, timeout = 600_000) {
       headers,
       timeout,
     };
+    if (isHttps && backendAgent) opts.agent = backendAgent;
 
-    const req = mod.request(opts, (res) => {
+    // Tracks whether the connection was established, so callers can tell a
+    // failure before anything was sent from one mid-request.
+    let sent = false;
+
+    req = mod.request(opts, (res) => {
+      if (call?.path === urlPath) call.httpStatus = res.statusCode;
+      if (res.headers?.["x-session-id"]) onSession?.(res.headers["x-session-id"]);
+      const format = onEvent && res.statusCode < 400 ? streamFormat(res) : null;
       let data = "";
       let size = 0;
+      let result;
+      let streamError;
+
+      const emit = (type, event) => {
+        if (event.session_id) onSession?.(event.session_id);
+        if (type === "result") result = event;
+        else if (type === "error") streamError = new Error(event.error || event.message || "Stream error");
+        else onEvent(event);
+      };
+
       res.on("data", (c) => {
         size += c.length;
         if (size > MAX_RESPONSE_SIZE) { req.destroy(); return reject(new Error("Response too large")); }
         data += c;
+        if (format) {
+          try {
+            data = parseStreamChunk(data, format, emit);
+          } catch {
+            req.destroy();
+            reject(new Error("Malformed event in streamed response"));
+          }
+        }
       });
       res.on("end", () => {
+        if (format) {
+          try {
+            parseStreamChunk(data + "\n\n", format, emit);
+          } catch {
+            return reject(new Error("Malformed event in streamed response"));
+          }
+          if (streamError) return reject(streamError);
+          if (result === undefined) return reject(new Error("Stream ended without a result"));
+          return resolve(result);
+        }
         try {
           const json = JSON.parse(data);
-          if (res.statusCode >= 400) return reject(new Error(json.error || `HTTP ${res.statusCode}`));
+          if (res.statusCode >= 400) return reject(httpError(json.error || `HTTP ${res.statusCode}`, res));
           resolve(json);
         } catch {
-          if (res.statusCode >= 400) return reject(new Error(`HTTP ${res.statusCode}: ${data.slice(0, 300)}`));
+          if (res.statusCode >= 400) return reject(httpError(`HTTP ${res.statusCode}: ${data.slice(0, 300)}`, res));
           resolve(data);
         }
       });
     });
 
-    req.on("error", reject);
-    req.on("timeout", () => { req.destroy(); reject(new Error("Request timed out")); });
+    req.on("socket", (socket) => {
+      if (!socket.connecting) sent = true; // reused keep-alive connection
+      else socket.once(isHttps ? "secureConnect" : "connect", () => { sent = true; });
+    });
+    req.on("error", (e) => {
+      e.sent = sent;
+      reject(e);
+    });
+    req.on("timeout", () => {
+      req.destroy();
+      const e = new Error("Request timed out");
+      e.sent = sent;
+      e.timedOut = true;
+      reject(e);
+    });
+    signal?.addEventListener("abort", onAbort, { once: true });
     if (body) req.write(JSON.stringify(body));
     req.end();
   });
@@ -77,12 +688,14 @@ function request(method, urlPath, body, timeout = 600_000) {
 
 // ── Shared helpers ──────────────────────────────────────────────────
 
+const NO_KEY_MESSAGE = "CLOUD_AGENT_API_KEY environment variable is required.\n\nGet an API key from your Cloud Agent web workspace at /auth/api-key.\nAPI keys use the ca_* prefix.";
+
 function noKeyError() {
   return {
     isError: true,
     content: [{
       type: "text",
-      text: "Error: CLOUD_AGENT_API_KEY environment variable is required.\n\nGet an API key from your Cloud Agent web workspace at /auth/api-key.\nAPI keys use the ca_* prefix.",
+      text: `Error: ${NO_KEY_MESSAGE}`,
     }],
   };
 }
@@ -94,198 +707,1603 @@ function errorResult(e) {
   };
 }
 
-function toolResult(text) {
+// Every tool returns structured content matching its outputSchema, plus the
+// same data as text for clients that only read content blocks.
+function toolResult(structuredContent, text = JSON.stringify(structuredContent, null, 2)) {
   return {
     content: [{ type: "text", text }],
+    structuredContent,
   };
 }
 
-async function authedCall(method, path, body, formatter) {
+async function authedRun(fn) {
   if (!API_KEY) return noKeyError();
   try {
-    const result = await request(method, path, body);
-    return toolResult(formatter(result));
+    return await fn();
   } catch (e) {
     return errorResult(e);
   }
 }
 
-// ── MCP Server ──────────────────────────────────────────────────────
+async function authedCall(method, path, body, options, formatter) {
+  return authedRun(async () => formatter(await request(method, path, body, options)));
+}
 
-const server = new McpServer({
-  name: "cloud-agent",
-  version,
-});
+// Builds an onEvent callback for request() that forwards backend progress
+// events as MCP progress notifications and log messages. Returns undefined
+// when the client did not ask for progress, so request() skips streaming.
+function progressReporter(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) return undefined;
+  let step = 0;
+  return (event) => {
+    const message = event.message || event.phase || "working";
+    step = typeof event.progress === "number" && event.progress > step ? event.progress : step + 1;
+    const params = { progressToken, progress: step, message };
+    if (typeof event.total === "number") params.total = event.total;
+    extra.sendNotification({ method: "notifications/progress", params }).catch(() => {});
+    extra.sendNotification({
+      method: "notifications/message",
+      params: { level: "info", logger: "cloud-agent", data: message },
+    }).catch(() => {});
+  };
+}
+
+function taskOutput(result) {
+  const output = {
+    response: result.response,
+    cost_usd: result.cost_usd,
+    duration_ms: result.duration_ms,
+    pr_url: result.pr_url || null,
+  };
+  // Dry runs come back with a plan and diff instead of a PR.
+  if (result.plan_id) {
+    output.plan_id = result.plan_id;
+    output.plan = result.plan;
+    output.diff = result.diff;
+  }
+  // generate_tests can open a PR per file, or return the tests inline.
+  if (Array.isArray(result.pr_urls)) output.pr_urls = result.pr_urls;
+  if (Array.isArray(result.test_files)) {
+    output.test_files = result.test_files.map((f) => ({ path: f.path, content: f.content, source_file: f.source_file ?? null }));
+  }
+  if (result.coverage_pct !== undefined) output.coverage_pct = result.coverage_pct;
+  return output;
+}
 
-// ── Tool: run_task ──────────────────────────────────────────────────
-// Positional: tool(name, description, paramsSchema, annotations, handler)
+// ── Idempotency ─────────────────────────────────────────────────────
 
-server.tool(
-  "run_task",
-  "Run a coding task: write code, fix bugs, add features, refactor. The AI agent clones the repo, makes changes, and opens a PR. Returns the result and PR URL when complete.",
-  {
-    repo: repoSchema.describe("GitHub repo in owner/repo format, e.g. 'facebook/react'"),
-    task: z.string().min(1).describe("Task description, e.g. 'Fix the login bug' or 'Add dark mode to the settings page'"),
-    base_branch: z.string().optional().describe("Branch to base changes on (default: main)"),
-  },
-  { destructiveHint: true, readOnlyHint: false, openWorldHint: true },
-  async ({ repo, task, base_branch }) => {
-    const prompt = base_branch
-      ? `In ${repo} (branch: ${base_branch}): ${task}`
-      : `In ${repo}: ${task}`;
-    return authedCall("POST", "/query", { prompt }, (result) =>
-      JSON.stringify({
-        response: result.response,
-        cost_usd: result.cost_usd,
-        duration_ms: result.duration_ms,
-        pr_url: result.pr_url || null,
-      }, null, 2)
-    );
+const IDEMPOTENCY_TTL_MS = 60 * 60 * 1000; // 1 hour
+const IDEMPOTENCY_MAX_KEYS = 500;
+
+const idempotencyKeySchema = z.string().min(1).max(255).regex(/^[A-Za-z0-9_.:-]+$/, "Use letters, digits, '_', '.', ':' or '-'").optional().describe("Calls with the same key attach to the first call's session instead of starting a new task (default: derived from the tool name and arguments). Pass a fresh key to force a new run");
+
+// Idempotency keys this process has sent, mapped to the backend session each
+// one started. Insertion-ordered, so the oldest key is evicted first.
+const recentKeys = new Map();
+
+// JSON with sorted object keys, so argument order doesn't change the hash.
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`);
+    return `{${entries.join(",")}}`;
   }
-);
+  return JSON.stringify(value);
+}
 
-// ── Tool: review_pr ─────────────────────────────────────────────────
-
-server.tool(
-  "review_pr",
-  "Review a GitHub pull request. Returns structured feedback with issues, verdict, and suggestions. Optionally posts review comments directly to GitHub.",
-  {
-    pr_url: prUrlSchema.describe("Full GitHub PR URL, e.g. https://github.com/owner/repo/pull/123"),
-    post_comments: z.boolean().optional().describe("Post review comments directly to GitHub (default: false)"),
-  },
-  { destructiveHint: false, readOnlyHint: false, openWorldHint: true },
-  async ({ pr_url, post_comments }) =>
-    authedCall("POST", "/review", { pr_url, post_review: post_comments === true }, (result) =>
-      result.review || JSON.stringify(result, null, 2)
-    )
-);
+function idempotencyKey(tool, args) {
+  if (args.idempotency_key) return args.idempotency_key;
+  const { mode, idempotency_key, ...rest } = args;
+  const hash = crypto.createHash("sha256").update(stableStringify(rest)).digest("hex");
+  return `${tool}:${hash.slice(0, 32)}`;
+}
 
-// ── Tool: ask_codebase ──────────────────────────────────────────────
-
-server.tool(
-  "ask_codebase",
-  "Ask a question about any GitHub repository's codebase. Auto-indexes the repo on first use. Returns an answer with file references.",
-  {
-    question: z.string().min(1).describe("Question about the codebase, e.g. 'How does authentication work?'"),
-    repo: repoSchema.describe("GitHub repo in owner/repo format, e.g. 'facebook/react'"),
-  },
-  { destructiveHint: false, readOnlyHint: true, openWorldHint: true },
-  async ({ question, repo }) =>
-    authedCall("POST", "/ask", { question, repo }, (result) =>
-      result.answer || JSON.stringify(result, null, 2)
-    )
-);
+function rememberKey(key, sessionId) {
+  recentKeys.delete(key);
+  recentKeys.set(key, { sessionId, expiresAt: Date.now() + IDEMPOTENCY_TTL_MS });
+  while (recentKeys.size > IDEMPOTENCY_MAX_KEYS) recentKeys.delete(recentKeys.keys().next().value);
+}
 
-// ── Tool: generate_tests ────────────────────────────────────────────
-
-server.tool(
-  "generate_tests",
-  "Generate tests for a specific file in a GitHub repository. Creates test files and opens a PR with them.",
-  {
-    repo: repoSchema.describe("GitHub repo in owner/repo format"),
-    file: z.string().min(1).describe("File to generate tests for, e.g. 'src/auth.ts'"),
-  },
-  { destructiveHint: true, readOnlyHint: false, openWorldHint: true },
-  async ({ repo, file }) =>
-    authedCall("POST", "/test", { file, repo }, (result) =>
-      JSON.stringify({
-        response: result.response,
-        cost_usd: result.cost_usd,
-        duration_ms: result.duration_ms,
-        pr_url: result.pr_url || null,
-      }, null, 2)
-    )
-);
+// Keys whose session was cancelled or failed, mapped to how many times. The
+// next call sends the key with an attempt suffix the backend hasn't seen, so
+// it starts a new task instead of attaching to the dead one.
+const retiredKeys = new Map();
 
-// ── Tool: security_scan ─────────────────────────────────────────────
-
-server.tool(
-  "security_scan",
-  "Run a security and dependency scan on one or more GitHub repositories. Checks for vulnerabilities, secret exposure, and security anti-patterns.",
-  {
-    repos: z.array(repoSchema).min(1).describe("Array of repos in owner/repo format, e.g. ['owner/repo1', 'owner/repo2']"),
-    type: z.enum(["all", "dependencies", "secrets", "code"]).optional().describe("Scan type (default: all)"),
-  },
-  { destructiveHint: false, readOnlyHint: true, openWorldHint: true },
-  async ({ repos, type }) =>
-    authedCall("POST", "/scan", { repos, type: type || "all" }, (result) =>
-      JSON.stringify(result, null, 2)
-    )
-);
+function sentKey(key) {
+  const retired = retiredKeys.get(key);
+  return retired ? `${key}:${retired + 1}` : key;
+}
 
-// ── Tool: list_sessions ─────────────────────────────────────────────
-
-server.tool(
-  "list_sessions",
-  "List recent agent sessions with status, cost, duration, and PR URLs. Use to check on past or running tasks.",
-  {
-    limit: z.number().int().min(1).max(100).optional().describe("Max sessions to return (default: 20)"),
-    status: z.enum(["running", "completed", "error"]).optional().describe("Filter by session status"),
-  },
-  { destructiveHint: false, readOnlyHint: true, openWorldHint: false },
-  async ({ limit, status }) => {
-    let path = `/api/sessions?limit=${limit || 20}`;
-    if (status) path += `&status=${status}`;
-    return authedCall("GET", path, undefined, (result) =>
-      JSON.stringify(result.sessions || result, null, 2)
-    );
+function forgetKey(key) {
+  recentKeys.delete(key);
+  const retired = (retiredKeys.get(key) || 0) + 1;
+  retiredKeys.delete(key);
+  retiredKeys.set(key, retired);
+  while (retiredKeys.size > IDEMPOTENCY_MAX_KEYS) retiredKeys.delete(retiredKeys.keys().next().value);
+}
+
+// Forgets the key that started a session, once that session was cancelled.
+function forgetSession(sessionId) {
+  for (const [key, entry] of recentKeys) {
+    if (entry.sessionId === sessionId) forgetKey(key);
   }
-);
+}
+
+function recalledSession(key) {
+  const entry = recentKeys.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt < Date.now()) {
+    recentKeys.delete(key);
+    return undefined;
+  }
+  return entry.sessionId;
+}
+
+// ── Conversations ───────────────────────────────────────────────────
+// ask_codebase follow-ups. The backend keeps a conversation under the id it
+// returns; this process also remembers each one's scope and recent turns, so
+// follow-ups inherit ref and paths and still carry context to a backend that
+// has forgotten it.
+
+const CONVERSATION_TTL_MS = 60 * 60 * 1000; // 1 hour
+const CONVERSATION_MAX = 200;
+const CONVERSATION_TURNS = 10;
+
+const conversations = new Map();
+
+function recallConversation(id) {
+  const entry = conversations.get(id);
+  if (!entry) return undefined;
+  if (entry.expiresAt < Date.now()) {
+    conversations.delete(id);
+    return undefined;
+  }
+  return entry;
+}
+
+function rememberTurn(id, scope, question, answer) {
+  const turns = [...(recallConversation(id)?.turns || []), { question, answer }].slice(-CONVERSATION_TURNS);
+  conversations.delete(id);
+  conversations.set(id, { ...scope, turns, expiresAt: Date.now() + CONVERSATION_TTL_MS });
+  while (conversations.size > CONVERSATION_MAX) conversations.delete(conversations.keys().next().value);
+}
+
+// ── Citations ───────────────────────────────────────────────────────
+// The files an answer relied on, as { path, start_line, end_line, commit_sha,
+// url }. Backends send citations (path or file, line or start_line/end_line,
+// an optional per-citation sha) or, in older versions, a bare list of files.
+// URLs are pinned to the commit so the lines they point at can't drift.
+
+const MAX_CITATIONS = 50;
+
+function citation(raw, repo, commitSha) {
+  const entry = typeof raw === "string" ? { path: raw } : raw || {};
+  const file = String(entry.path || entry.file || "").replace(/^\/+/, "");
+  if (!file || file.split("/").includes("..")) return undefined;
+  const line = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+  const startLine = line(entry.start_line ?? entry.line);
+  const endLine = startLine && Math.max(line(entry.end_line) || startLine, startLine);
+  const sha = entry.commit_sha || entry.sha || commitSha;
+  const pinned = typeof sha === "string" && /^[0-9a-f]{7,64}$/i.test(sha) ? sha : null;
+  return {
+    path: file,
+    start_line: startLine,
+    end_line: endLine || null,
+    commit_sha: pinned,
+    url: pinned ? blobUrl(repo, pinned, file, startLine, endLine) : null,
+  };
+}
+
+function citations(result, repo) {
+  const commitSha = result.commit_sha || result.sha || null;
+  const raw = Array.isArray(result.citations) ? result.citations : Array.isArray(result.files) ? result.files : [];
+  const seen = new Set();
+  const list = [];
+  for (const entry of raw) {
+    const c = citation(entry, repo, commitSha);
+    const key = c && `${c.path}:${c.start_line}:${c.end_line}:${c.commit_sha}`;
+    if (!c || seen.has(key)) continue;
+    seen.add(key);
+    list.push(c);
+    if (list.length === MAX_CITATIONS) break;
+  }
+  return { commit_sha: typeof commitSha === "string" ? commitSha : null, citations: list };
+}
+
+// MCP resource_link content items for the citations that have a URL.
+function citationLinks(list) {
+  return list.filter((c) => c.url).map((c) => ({
+    type: "resource_link",
+    uri: c.url,
+    name: c.path,
+    description: `${!c.start_line ? "File" : c.end_line > c.start_line ? `Lines ${c.start_line}-${c.end_line}` : `Line ${c.start_line}`} at ${c.commit_sha.slice(0, 7)}`,
+  }));
+}
+
+// ── Budgets ─────────────────────────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What this process has seen spent: a running total, and each cost of the
+// last 24 hours with its repo, oldest first. The window is seeded from the
+// backend's usage at startup, so a restart doesn't reset the daily budgets.
+const spending = { process: 0, recent: [] };
+
+// Async sessions this process started whose cost hasn't been counted yet,
+// mapped to their repo.
+const unbilledSessions = new Map();
 
-// ── Tool: list_playbooks ────────────────────────────────────────────
+// Spend in the last 24 hours, on `repo` or in total.
+function spentInLastDay(repo) {
+  const since = Date.now() - DAY_MS;
+  while (spending.recent.length && spending.recent[0].at < since) spending.recent.shift();
+  return spending.recent.reduce((sum, c) => (!repo || c.repo === repo ? sum + c.cost : sum), 0);
+}
+
+function recordCost(repo, costUsd) {
+  if (typeof costUsd !== "number" || !(costUsd > 0)) return;
+  spending.process += costUsd;
+  spending.recent.push({ at: Date.now(), cost: costUsd, repo });
+}
+
+// Counts a finished async session's cost once, when any tool first sees it,
+// and notes the repo of any plan it produced.
+function recordSessionCost(id, session) {
+  if (!unbilledSessions.has(id) || session.status === "running") return;
+  const repo = unbilledSessions.get(id);
+  unbilledSessions.delete(id);
+  rememberPlan(session, repo);
+  recordCost(session.repo || repo, session.cost_usd);
+}
+
+// Fetches the async sessions no one has waited on, so a loop of async tasks
+// can't outrun the budgets. Sessions still running are counted once they
+// finish; ones the backend no longer knows are dropped.
+async function settleSessions(signal) {
+  await Promise.all([...unbilledSessions.keys()].map(async (id) => {
+    try {
+      recordSessionCost(id, await getSession(id, signal));
+    } catch (e) {
+      if (e.status !== 404) throw e;
+      unbilledSessions.delete(id);
+    }
+  }));
+}
+
+const usd = (n) => `$${n.toFixed(2)}`;
+
+// Throws when a budget covering `repo` is used up.
+async function checkBudget(repo, signal) {
+  const budgets = [BUDGETS.process, BUDGETS.daily, ...(repo ? [BUDGETS.repo] : [])];
+  if (budgets.every((budget) => budget.limit === Infinity)) return;
+  await settleSessions(signal);
+  const checks = [
+    [BUDGETS.process, spending.process, "Per-process budget", "since this server started"],
+    [BUDGETS.daily, spentInLastDay(), "Daily budget", "in the last 24 hours"],
+  ];
+  if (repo) checks.push([BUDGETS.repo, spentInLastDay(repo), `Budget for ${repo}`, "on it in the last 24 hours"]);
+  for (const [budget, spent, label, period] of checks) {
+    if (spent >= budget.limit) {
+      throw new Error(`${label} reached: ${usd(spent)} spent ${period} of the ${usd(budget.limit)} limit set by ${budget.env}. Refusing to start a new task.`);
+    }
+  }
+}
+
+// Usage breakdowns come either as { "owner/repo": { cost_usd } } or as
+// [{ repo, cost_usd }].
+function repoCosts(usage) {
+  const byRepo = usage.by_repo || usage.repos || {};
+  const entries = Array.isArray(byRepo)
+    ? byRepo.map((r) => [r.repo, r.cost_usd ?? r.total_cost_usd])
+    : Object.entries(byRepo).map(([repo, r]) => [repo, typeof r === "number" ? r : r?.cost_usd ?? r?.total_cost_usd]);
+  return entries.filter(([repo, cost]) => repo && typeof cost === "number");
+}
+
+// The backend only reports totals, so seeded costs count as spent at startup
+// and leave the window 24 hours later.
+function seedSpending(usage) {
+  const at = Date.now();
+  const repos = repoCosts(usage);
+  for (const [repo, cost] of repos) spending.recent.push({ at, cost, repo });
+  const total = typeof usage.total_cost_usd === "number" ? usage.total_cost_usd : 0;
+  const rest = total - repos.reduce((sum, [, cost]) => sum + cost, 0);
+  if (rest > 0) spending.recent.push({ at, cost: rest });
+}
+
+async function loadSpending() {
+  if (!API_KEY || (BUDGETS.daily.limit === Infinity && BUDGETS.repo.limit === Infinity)) return;
+  try {
+    seedSpending(await request("GET", "/api/usage?days=1", undefined, { timeout: 5_000, maxAttempts: 1 }));
+  } catch (e) {
+    console.error(`Could not load the last 24 hours of usage for budgets: ${e.message}`);
+  }
+}
+
+// ── Repository policy ───────────────────────────────────────────────
+
+// Repos each dry-run plan targets, so apply_plan can be checked against the
+// write rules even though it only takes a plan_id.
+const planRepos = new Map();
+
+// `myorg` is shorthand for `myorg/*`. `*` and `?` never cross a slash while
+// `**` does, for nested GitLab groups. Repos off github.com are matched with
+// their host, e.g. `gitlab.acme.com/platform/**`. Matching is
+// case-insensitive like GitHub's.
+function repoGlob(pattern) {
+  const full = pattern.includes("/") ? pattern : `${pattern}/*`;
+  const source = full.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*\*|\*|\?/g, (m) => ({ "**": ".*", "*": "[^/]*", "?": "[^/]" })[m]);
+  return new RegExp(`^${source}$`, "i");
+}
+
+function repoRules(env) {
+  const patterns = (process.env[env] || "").split(",").map((p) => p.trim()).filter(Boolean);
+  if (!patterns.length) return undefined;
+  return { env, patterns, globs: patterns.map(repoGlob) };
+}
+
+function checkRepoRules() {
+  for (const rules of Object.values(REPO_RULES)) {
+    const invalid = rules?.patterns.filter((p) => !/^[\w.:*?-]+(\/[\w.*?-]+)*$/.test(p)) || [];
+    if (invalid.length) throw new Error(`${rules.env} has invalid patterns: ${invalid.join(", ")}. Use owner/repo globs like "myorg/*" or "myorg/api-*", or host/path globs like "gitlab.acme.com/platform/**".`);
+  }
+}
 
-server.tool(
-  "list_playbooks",
-  "List available playbooks — reusable workflow templates for common engineering tasks like bug triage, security remediation, test coverage, docs sync, and more.",
-  {},
-  { destructiveHint: false, readOnlyHint: true, openWorldHint: false },
-  async () => authedCall("GET", "/api/playbooks", undefined, (result) =>
-    JSON.stringify(result, null, 2)
-  )
+function repoPolicyActive() {
+  return Object.values(REPO_RULES).some(Boolean);
+}
+
+// Why `repo` is off limits, or undefined when the rules allow it. Write
+// calls must also pass the *_WRITE rules.
+function repoPolicyViolation(repo, write) {
+  const layers = [[REPO_RULES.deny, REPO_RULES.allow]];
+  if (write) layers.push([REPO_RULES.denyWrite, REPO_RULES.allowWrite]);
+  for (const [deny, allow] of layers) {
+    const denied = deny?.globs.findIndex((g) => g.test(repo)) ?? -1;
+    if (denied !== -1) return `${repo} matches "${deny.patterns[denied]}" in ${deny.env}`;
+    if (allow && !allow.globs.some((g) => g.test(repo))) return `${repo} doesn't match any pattern in ${allow.env} (${allow.patterns.join(", ")})`;
+  }
+  return undefined;
+}
+
+// The repos a call would touch, from whichever of repo, repos, pr_url or
+// plan_id it takes.
+function callRepos(args) {
+  const repos = [];
+  if (args.repo) repos.push(args.repo);
+  if (args.repos) repos.push(...args.repos);
+  const pr = args.pr_url && parsePrUrl(args.pr_url);
+  if (pr?.repo) repos.push(pr.repo);
+  return repos;
+}
+
+// Throws when the policy forbids the call.
+function checkRepoPolicy(tool, args, write) {
+  if (!repoPolicyActive()) return;
+  if (args.plan_id && !args.repo) {
+    const repo = planRepos.get(args.plan_id);
+    if (!repo) throw new Error(`Repository policy: can't tell which repository plan ${args.plan_id} targets, so ${tool} is blocked. Create the plan with plan_task on this server first.`);
+    args = { ...args, repo };
+  }
+  for (const repo of callRepos(args)) {
+    const violation = repoPolicyViolation(repo, write);
+    if (violation) throw new Error(`Repository policy blocks ${tool}: ${violation}.`);
+  }
+}
+
+function rememberPlan(result, repo) {
+  if (result.plan_id && (result.repo || repo)) planRepos.set(result.plan_id, result.repo || repo);
+}
+
+// ── Session helpers ─────────────────────────────────────────────────
+
+const POLL_INITIAL_MS = 2_000;
+const POLL_MAX_MS = 30_000;
+const TASK_WAIT_MS = 600_000;
+
+const modeSchema = z.enum(["sync", "async"]).optional().describe("sync (default) waits for the result; async returns a session_id immediately — collect the result with wait_for_session");
+const sessionIdSchema = z.string().min(1).describe("Session ID returned by an async call or list_sessions");
+
+const dateSchema = z.string().refine(
+  (s) => /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(s) && !Number.isNaN(Date.parse(s)),
+  "Must be an ISO 8601 date or date-time, e.g. '2025-01-31' or '2025-01-31T09:00:00Z'"
 );
 
-// ── Tool: run_playbook ──────────────────────────────────────────────
-
-server.tool(
-  "run_playbook",
-  "Run a playbook (reusable workflow template) against a repository. Use list_playbooks to see available options. Built-in playbooks include: bug-triage, security-remediation, dependency-upgrade, docs-sync, test-coverage, code-migration, pr-review-cycle.",
-  {
-    slug: z.string().min(1).describe("Playbook slug, e.g. 'bug-triage', 'security-remediation', 'test-coverage'"),
-    repo: repoSchema.describe("GitHub repo in owner/repo format"),
-    inputs: z.record(z.string()).optional().describe("Additional inputs for the playbook template variables"),
-  },
-  { destructiveHint: true, readOnlyHint: false, openWorldHint: true },
-  async ({ slug, repo, inputs }) =>
-    authedCall("POST", `/api/playbooks/${encodeURIComponent(slug)}/run`, { repo, inputs }, (result) =>
-      JSON.stringify(result, null, 2)
+// list_sessions filters, passed through to the backend as query parameters.
+const SESSION_FILTERS = ["status", "repo", "forge", "forge_host", "source", "user", "since", "until", "has_pr", "sort", "cursor"];
+
+function sessionsPath({ limit, ...filters }) {
+  const query = new URLSearchParams({ limit: limit || 20 });
+  for (const name of SESSION_FILTERS) {
+    if (filters[name] !== undefined) query.set(name, String(filters[name]));
+  }
+  return `/api/sessions?${query}`;
+}
+
+function sessionPath(id) {
+  return `/api/sessions/${encodeURIComponent(id)}`;
+}
+
+function sessionHandle(result) {
+  return {
+    session_id: result.session_id || result.id,
+    status: result.status || "running",
+  };
+}
+
+// Shapes a polled session the way wait_for_session reports it: the task
+// result once finished, or a still-running notice. Failed and cancelled
+// sessions have no result to report.
+function waitOutput(sessionId, session) {
+  if (session.status === "error") throw new Error(session.error || `Session ${sessionId} failed`);
+  if (session.status === "cancelled") throw new Error(`Session ${sessionId} was cancelled before it finished, so it has no result. Repeat the call that started it to run it again.`);
+  if (session.status === "running") {
+    return {
+      session_id: sessionId,
+      status: session.status,
+      message: "Session is still running. Call wait_for_session again to keep waiting.",
+    };
+  }
+  return taskOutput(session);
+}
+
+// Transcript pages stay well under MAX_RESPONSE_SIZE, since the structured
+// content and its text copy both carry every event.
+const TRANSCRIPT_PAGE_LIMIT = 100;
+const TRANSCRIPT_MAX_BYTES = MAX_RESPONSE_SIZE / 4;
+const TRANSCRIPT_FIELD_MAX_CHARS = 20_000;
+
+function eventType(event) {
+  return event.type || (event.role ? "message" : "event");
+}
+
+// Long fields such as test output are cut rather than dropped, so one huge
+// event can't stall paging.
+function clipEvent(event) {
+  let clipped = false;
+  const entry = {};
+  for (const [key, value] of Object.entries(event)) {
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    if (text !== undefined && text.length > TRANSCRIPT_FIELD_MAX_CHARS) {
+      entry[key] = `${text.slice(0, TRANSCRIPT_FIELD_MAX_CHARS)}… [${text.length - TRANSCRIPT_FIELD_MAX_CHARS} more characters]`;
+      clipped = true;
+    } else {
+      entry[key] = value;
+    }
+  }
+  return { entry, clipped };
+}
+
+// Shapes one page of a session's event log. Backends that page report a
+// total; otherwise the whole log came back and is filtered and paged here.
+// Offsets count events after the type filter.
+function transcriptPage(sessionId, result, { offset, limit, types }) {
+  let events = result.events || result.messages || (Array.isArray(result) ? result : []);
+  let total = result.total;
+  if (typeof total !== "number") {
+    if (types) events = events.filter((e) => types.includes(eventType(e)));
+    total = events.length;
+    events = events.slice(offset, offset + limit);
+  }
+  const page = [];
+  let bytes = 0;
+  let truncated = false;
+  for (const event of events.slice(0, limit)) {
+    const { entry, clipped } = clipEvent(event && typeof event === "object" ? event : { content: String(event) });
+    const item = { ...entry, index: offset + page.length, type: eventType(entry) };
+    const size = Buffer.byteLength(JSON.stringify(item));
+    if (page.length && bytes + size > TRANSCRIPT_MAX_BYTES) {
+      truncated = true;
+      break;
+    }
+    page.push(item);
+    bytes += size;
+    truncated ||= clipped;
+  }
+  const next = offset + page.length;
+  return { session_id: sessionId, offset, events: page, total, next_offset: next < total ? next : null, truncated };
+}
+
+async function getTranscript(id, { offset = 0, limit = TRANSCRIPT_PAGE_LIMIT, types }, signal) {
+  const query = new URLSearchParams({ offset, limit });
+  if (types) query.set("types", types.join(","));
+  const result = await request("GET", `${sessionPath(id)}/transcript?${query}`, undefined, { signal });
+  return transcriptPage(id, result, { offset, limit, types });
+}
+
+function cancelSession(id) {
+  return request("POST", `${sessionPath(id)}/cancel`, undefined, { timeout: 15_000 });
+}
+
+// Sends a task request the client may abort. Once the backend has reported
+// which session it started, aborting also cancels that session so it stops
+// spending. Cancellation is best effort: the client has already gone away.
+async function cancellableTask(path, body, options = {}) {
+  const { signal } = options;
+  let sessionId;
+  const onAbort = () => {
+    if (!sessionId) return;
+    forgetSession(sessionId);
+    cancelSession(sessionId).catch(() => {});
+  };
+  signal?.addEventListener("abort", onAbort, { once: true });
+  try {
+    return await request("POST", path, body, {
+      ...options,
+      onSession: (id) => {
+        sessionId = id;
+        options.onSession?.(id);
+      },
+    });
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// Starts a long-running task. Async mode asks the backend to return a
+// session handle immediately instead of blocking until the task finishes;
+// sync mode streams progress to the client when it supplied a progress token.
+// A repeated call with the same idempotency key attaches to the session the
+// first call started instead of opening a second branch and PR, unless that
+// session was cancelled or failed, in which case it starts a new one.
+function taskCall(tool, args, path, body, extra, formatter = taskOutput) {
+  const key = idempotencyKey(tool, args);
+  const isAsync = args.mode === "async";
+  // apply_plan has no repo argument; its plan remembers which repo it targets.
+  const repo = args.repo ?? (args.plan_id && planRepos.get(args.plan_id));
+  return authedRun(async () => {
+    const known = recalledSession(key);
+    if (known) {
+      const session = await getSession(known, extra.signal);
+      recordSessionCost(known, session);
+      if (session.status !== "cancelled" && session.status !== "error") {
+        if (isAsync) return toolResult(sessionHandle(session));
+        const done = session.status === "running" ? await pollSession(known, TASK_WAIT_MS, extra.signal) : session;
+        recordSessionCost(known, done);
+        return toolResult(waitOutput(known, done));
+      }
+      forgetKey(key);
+    }
+
+    await checkBudget(repo, extra.signal);
+
+    // A session counts as unbilled from the moment the backend names it, so
+    // one whose call times out or is aborted is still charged once it ends.
+    let sessionId;
+    const options = {
+      signal: extra.signal,
+      headers: { "Idempotency-Key": sentKey(key) },
+      idempotent: true,
+      onSession: (id) => {
+        sessionId = id;
+        rememberKey(key, id);
+        unbilledSessions.set(id, repo);
+      },
+    };
+    if (isAsync) {
+      const handle = await cancellableTask(path, { ...body, async: true }, options);
+      const id = handle.session_id || handle.id;
+      if (id) {
+        rememberKey(key, id);
+        unbilledSessions.set(id, repo);
+      }
+      return toolResult(sessionHandle(handle));
+    }
+    const result = await cancellableTask(path, body, { ...options, onEvent: progressReporter(extra) });
+    if (result.session_id) rememberKey(key, result.session_id);
+    recordCost(repo, result.cost_usd);
+    unbilledSessions.delete(sessionId);
+    unbilledSessions.delete(result.session_id);
+    return toolResult(formatter(result));
+  });
+}
+
+// run_task and plan_task. A dry run asks the backend for a plan and diff
+// instead of pushing a branch and opening a PR.
+function runTask(tool, args, extra, dryRun) {
+  const body = { prompt: `In ${args.repo}: ${args.task}`, ...forgeFields(args.repo), ...prFields(args) };
+  if (!dryRun) return taskCall(tool, args, "/query", body, extra);
+  return taskCall(tool, args, "/query", { ...body, dry_run: true }, extra, (result) => {
+    rememberPlan(result, args.repo);
+    return taskOutput(result);
+  });
+}
+
+// The PR options a caller actually set.
+function prFields(args) {
+  return Object.fromEntries(PR_FIELDS.filter((k) => args[k] !== undefined).map((k) => [k, args[k]]));
+}
+
+async function getSession(id, signal) {
+  const result = await request("GET", sessionPath(id), undefined, { signal });
+  return result.session || result;
+}
+
+// Polls a session with exponential backoff until it leaves the running
+// state or the deadline passes. Returns the last session snapshot either way.
+async function pollSession(id, timeoutMs, signal) {
+  const deadline = Date.now() + timeoutMs;
+  let delay = POLL_INITIAL_MS;
+  for (;;) {
+    const session = await getSession(id, signal);
+    const remaining = deadline - Date.now();
+    if (session.status !== "running" || remaining <= 0) return session;
+    await sleep(Math.min(delay, remaining), signal);
+    delay = Math.min(delay * 2, POLL_MAX_MS);
+  }
+}
+
+// ── Reviews ─────────────────────────────────────────────────────────
+// review_pr findings are normalized here so clients get one shape whatever
+// the backend calls things. Filters are applied again locally, which keeps
+// them reliable against backends that ignore some of them.
+
+const SEVERITY_ALIASES = { nit: "info", suggestion: "info", minor: "low", warning: "medium", major: "high", error: "high", blocker: "critical" };
+const VERDICT_ALIASES = { approved: "approve", changes_requested: "request_changes", commented: "comment" };
+
+function severityRank(severity) {
+  return REVIEW_SEVERITIES.indexOf(severity);
+}
+
+// `*` and `?` stay within a path segment; `**` spans segments.
+function pathGlob(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*\*\/|\*\*|\*|\?/g, (m) => ({ "**/": "(?:.*/)?", "**": ".*", "*": "[^/]*", "?": "[^/]" })[m]);
+  return new RegExp(`^${source}$`);
+}
+
+// Findings default to blocking from high severity up.
+function reviewFinding(raw) {
+  const named = String(raw.severity || "info").toLowerCase();
+  const severity = REVIEW_SEVERITIES.includes(named) ? named : SEVERITY_ALIASES[named] || "info";
+  const line = raw.start_line ?? raw.line ?? null;
+  return {
+    ...raw,
+    file: raw.file ?? raw.path ?? null,
+    start_line: line,
+    end_line: raw.end_line ?? line,
+    severity,
+    category: String(raw.category || "correctness").toLowerCase(),
+    message: raw.message || raw.body || raw.description || "",
+    suggested_fix: raw.suggested_fix ?? raw.suggestion ?? null,
+    blocking: typeof raw.blocking === "boolean" ? raw.blocking : severityRank(severity) >= severityRank("high"),
+  };
+}
+
+function reviewOutput(result, { focus, min_severity: minSeverity, include_paths: include, exclude_paths: exclude }) {
+  const includeGlobs = include?.map(pathGlob);
+  const excludeGlobs = exclude?.map(pathGlob);
+  const findings = (result.findings || result.comments || [])
+    .map(reviewFinding)
+    .filter((f) => !focus || focus.includes(f.category))
+    .filter((f) => !minSeverity || severityRank(f.severity) >= severityRank(minSeverity))
+    .filter((f) => !includeGlobs || (f.file && includeGlobs.some((g) => g.test(f.file))))
+    .filter((f) => !excludeGlobs || !f.file || !excludeGlobs.some((g) => g.test(f.file)));
+  const verdict = String(result.verdict || "").toLowerCase();
+  return {
+    ...result,
+    verdict: REVIEW_VERDICTS.includes(verdict) ? verdict : VERDICT_ALIASES[verdict] || null,
+    summary: result.summary ?? null,
+    findings,
+  };
+}
+
+function reviewText(output) {
+  const lines = [`Verdict: ${output.verdict || "none given"}`];
+  const prose = output.summary || (!output.findings.length && output.review);
+  if (prose) lines.push("", prose);
+  for (const f of output.findings) {
+    const range = f.start_line && f.end_line !== f.start_line ? `${f.start_line}-${f.end_line}` : f.start_line;
+    const where = f.file ? ` ${f.file}${range ? `:${range}` : ""}` : "";
+    lines.push("", `- [${f.severity}${f.blocking ? ", blocking" : ""}] ${f.category}${where}: ${f.message}`);
+    if (f.suggested_fix) lines.push(`  Suggested fix: ${f.suggested_fix}`);
+  }
+  if (output.posted) lines.push("", "Posted to the pull request.");
+  return lines.join("\n");
+}
+
+// ── Resource helpers ────────────────────────────────────────────────
+
+const RESOURCE_LIST_LIMIT = 50;
+const SUBSCRIPTION_POLL_MS = (Number(process.env.CLOUD_AGENT_SUBSCRIPTION_POLL_SECONDS) || 15) * 1000;
+const SESSION_URI = /^cloud-agent:\/\/sessions\/([^/]+)(?:\/transcript)?$/;
+
+function sessionUri(id) {
+  return `cloud-agent://sessions/${encodeURIComponent(id)}`;
+}
+
+function jsonResource(uri, value) {
+  return {
+    contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(value, null, 2) }],
+  };
+}
+
+// Resource callbacks have no error result like tools do, so a missing key
+// surfaces as a thrown error on read. Listing stays empty instead, since
+// clients list resources on connect and would show the error unprompted.
+async function authedResource(fn) {
+  if (!API_KEY) throw new Error(NO_KEY_MESSAGE);
+  return fn();
+}
+
+async function authedResourceList(fn) {
+  if (!API_KEY) return { resources: [] };
+  return fn();
+}
+
+function playbooksFrom(result) {
+  return Array.isArray(result) ? result : result.playbooks || [];
+}
+
+async function listPlaybooks(signal) {
+  return playbooksFrom(await request("GET", "/api/playbooks", undefined, { signal }));
+}
+
+// Polls a subscribed session and tells the client when its status changes.
+// Stops on its own once the session is no longer running. Returns a stop function.
+function watchSession(server, uri, id) {
+  let lastStatus;
+  let inFlight = false;
+  const poll = async () => {
+    if (inFlight) return;
+    inFlight = true;
+    try {
+      const session = await getSession(id);
+      if (lastStatus !== undefined && session.status !== lastStatus) {
+        await server.server.sendResourceUpdated({ uri });
+      }
+      lastStatus = session.status;
+      if (session.status !== "running") stop();
+    } catch {
+      // Transient backend failures are picked up again on the next tick.
+    } finally {
+      inFlight = false;
+    }
+  };
+  const timer = setInterval(poll, SUBSCRIPTION_POLL_MS);
+  timer.unref();
+  const stop = () => clearInterval(timer);
+  poll();
+  return stop;
+}
+
+// Wires resources/subscribe for session URIs. Subscriptions belong to one
+// MCP connection and are dropped when it closes.
+function enableSessionSubscriptions(server) {
+  const subscriptions = new Map();
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async ({ params }) => {
+    const match = SESSION_URI.exec(params.uri);
+    if (!match) throw new Error(`Only session resources support subscriptions: ${params.uri}`);
+    if (!API_KEY) throw new Error(NO_KEY_MESSAGE);
+    if (!subscriptions.has(params.uri)) {
+      subscriptions.set(params.uri, watchSession(server, params.uri, decodeURIComponent(match[1])));
+    }
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async ({ params }) => {
+    subscriptions.get(params.uri)?.();
+    subscriptions.delete(params.uri);
+    return {};
+  });
+
+  server.server.onclose = () => {
+    for (const stop of subscriptions.values()) stop();
+    subscriptions.clear();
+  };
+}
+
+// ── Playbook prompts ────────────────────────────────────────────────
+
+const CATALOG_TIMEOUT_MS = 5_000;
+
+// Last playbook catalog fetched from the backend. New MCP connections
+// register their prompts from it, so it is loaded once before the first one.
+let playbookCatalog = [];
+
+async function loadPlaybookCatalog() {
+  if (!API_KEY) return;
+  try {
+    playbookCatalog = playbooksFrom(await request("GET", "/api/playbooks", undefined, { timeout: CATALOG_TIMEOUT_MS, maxAttempts: 1 }));
+  } catch (e) {
+    console.error(`Could not load playbook catalog: ${e.message}`);
+  }
+}
+
+// Template variables a playbook accepts, from its declared inputs or, failing
+// that, the {{placeholders}} in its template. `repo` is always its own argument.
+function playbookVariables(playbook) {
+  let vars = playbook.inputs || playbook.variables;
+  if (!Array.isArray(vars)) {
+    const names = new Set([...String(playbook.template || "").matchAll(/\{\{\s*([\w-]+)\s*\}\}/g)].map((m) => m[1]));
+    vars = [...names];
+  }
+  return vars
+    .map((v) => (typeof v === "string" ? { name: v } : v))
+    .filter((v) => v && v.name && v.name !== "repo");
+}
+
+function playbookPrompt(playbook) {
+  const argsSchema = {
+    repo: z.string().describe(REPO_DESCRIPTION),
+  };
+  for (const v of playbookVariables(playbook)) {
+    const arg = z.string().describe(v.description || v.name);
+    argsSchema[v.name] = v.required ? arg : arg.optional();
+  }
+  return {
+    title: playbook.name || playbook.slug,
+    description: playbook.description,
+    argsSchema,
+    callback: ({ repo, ...inputs }) => ({
+      messages: [{
+        role: "user",
+        content: {
+          type: "text",
+          text: `Run the "${playbook.slug}" playbook on ${repo} using the cloud-agent run_playbook tool with these arguments:\n\n${JSON.stringify({ slug: playbook.slug, repo, inputs }, null, 2)}`,
+        },
+      }],
+    }),
+  };
+}
+
+// Registers one prompt per playbook and keeps them in step with the catalog:
+// new playbooks are added, changed ones updated and removed ones dropped.
+// `prompts` maps slug to { prompt, signature } for this server instance.
+// The SDK only advertises prompt support if a prompt exists before the
+// connection opens, so a server that started with none cannot gain them later.
+function syncPlaybookPrompts(server, prompts, playbooks) {
+  if (!prompts.size && server.isConnected()) return;
+  const seen = new Set();
+  for (const playbook of playbooks) {
+    if (!playbook.slug) continue;
+    seen.add(playbook.slug);
+    const signature = JSON.stringify(playbook);
+    const existing = prompts.get(playbook.slug);
+    if (existing?.signature === signature) continue;
+    const { title, description, argsSchema, callback } = playbookPrompt(playbook);
+    if (existing) {
+      existing.prompt.update({ title, description, argsSchema, callback });
+      existing.signature = signature;
+    } else {
+      const prompt = server.registerPrompt(playbook.slug, { title, description, argsSchema }, callback);
+      prompts.set(playbook.slug, { prompt, signature });
+    }
+  }
+  for (const [slug, { prompt }] of prompts) {
+    if (!seen.has(slug)) {
+      prompt.remove();
+      prompts.delete(slug);
+    }
+  }
+}
+
+// ── Audit log ───────────────────────────────────────────────────────
+
+const AUDIT_LOG_FILES = 5; // rotated copies kept: audit.jsonl.1 … .5
+
+// The tool call in progress, so request() can note which backend endpoint
+// it hit without every caller threading it through.
+const auditContext = new AsyncLocalStorage();
+let auditWriteFailed = false;
+
+// Object keys whose values are always secrets, whatever they look like.
+const SECRET_KEY = /secret|token|passw(or)?d|api[_-]?key|authorization|credential|private[_-]?key/i;
+
+// Secrets that may turn up inside free text, e.g. pasted into a task.
+const SECRET_PATTERNS = [
+  /-----BEGIN [A-Z ]{0,40}PRIVATE KEY-----[\s\S]*?(-----END [A-Z ]{0,40}PRIVATE KEY-----|$)/g,
+  /\bca_[A-Za-z0-9_-]{8,}/g,
+  /\b(gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})/g,
+  /\bAKIA[0-9A-Z]{16}\b/g,
+  /\bsk-[A-Za-z0-9_-]{20,}/g,
+  /\bxox[abposr]-[A-Za-z0-9-]{10,}/g,
+  /\b(Bearer|Basic) [A-Za-z0-9._~+/=-]{8,}/gi,
+  /(?<=:\/\/)[^\s:@/]+:[^\s@/]+(?=@)/g, // user:password@ in URLs
+];
+
+function redactText(text) {
+  let out = API_KEY ? text.split(API_KEY).join("[REDACTED]") : text;
+  for (const pattern of SECRET_PATTERNS) out = out.replace(pattern, "[REDACTED]");
+  return out;
+}
+
+function redact(value, key = "") {
+  if (typeof value === "string") return SECRET_KEY.test(key) ? "[REDACTED]" : redactText(value);
+  if (Array.isArray(value)) return value.map((v) => redact(v, key));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, SECRET_KEY.test(k) ? "[REDACTED]" : redact(v, k)]));
+  }
+  return value;
+}
+
+// Shifts audit.jsonl → .1 → .2 …, dropping the oldest copy.
+function rotateAuditLog() {
+  for (let i = AUDIT_LOG_FILES - 1; i >= 1; i--) {
+    if (fs.existsSync(`${AUDIT_LOG}.${i}`)) fs.renameSync(`${AUDIT_LOG}.${i}`, `${AUDIT_LOG}.${i + 1}`);
+  }
+  fs.renameSync(AUDIT_LOG, `${AUDIT_LOG}.1`);
+}
+
+// A failing audit log never fails the tool call; it warns once on stderr.
+function writeAuditEntry(entry) {
+  const line = JSON.stringify(entry) + "\n";
+  try {
+    fs.mkdirSync(dirname(AUDIT_LOG), { recursive: true });
+    const size = fs.existsSync(AUDIT_LOG) ? fs.statSync(AUDIT_LOG).size : 0;
+    if (size > 0 && size + Buffer.byteLength(line) > AUDIT_LOG_MAX_BYTES) rotateAuditLog();
+    fs.appendFileSync(AUDIT_LOG, line, { mode: 0o600 });
+    auditWriteFailed = false;
+  } catch (e) {
+    if (!auditWriteFailed) console.error(`Could not write audit log ${AUDIT_LOG}: ${e.message}`);
+    auditWriteFailed = true;
+  }
+}
+
+// Runs a tool call and, when the audit log is on, records it as one line.
+async function audited(tool, args, fn) {
+  if (!AUDIT_LOG) return fn();
+  const call = {};
+  const started = Date.now();
+  let result;
+  try {
+    result = await auditContext.run(call, fn);
+    return result;
+  } finally {
+    const output = result?.structuredContent || {};
+    writeAuditEntry({
+      ts: new Date(started).toISOString(),
+      tool,
+      arguments: redact(args),
+      method: call.method,
+      path: call.path && redactText(call.path),
+      http_status: call.httpStatus,
+      status: result && !result.isError ? "ok" : "error",
+      error: result?.isError ? redactText(result.content[0].text) : undefined,
+      duration_ms: Date.now() - started,
+      cost_usd: output.cost_usd,
+      pr_url: output.pr_url || undefined,
+      session_id: output.session_id,
+    });
+  }
+}
+
+// ── MCP Server ──────────────────────────────────────────────────────
+
+function describeIssues(error) {
+  return error.issues.map((i) => `${i.path.join(".") || "response"}: ${i.message}`).join("; ");
+}
+
+// Input schema of every tool createServer() knows, enabled or not, by name.
+const knownTools = new Map();
+
+function toolEnabled(name, annotations) {
+  if (READ_ONLY && annotations.destructiveHint) return false;
+  if (TOOLS_ALLOW && !TOOLS_ALLOW.has(name)) return false;
+  return !TOOLS_DENY?.has(name);
+}
+
+function checkToolLists() {
+  for (const [env, names] of [["CLOUD_AGENT_TOOLS_ALLOW", TOOLS_ALLOW], ["CLOUD_AGENT_TOOLS_DENY", TOOLS_DENY]]) {
+    const unknown = [...(names || [])].filter((n) => !knownTools.has(n));
+    if (unknown.length) throw new Error(`${env} names unknown tools: ${unknown.join(", ")}. Available: ${[...knownTools.keys()].join(", ")}`);
+  }
+}
+
+// Checks arguments against a tool's input schema, for callers that want a
+// readable message rather than a protocol error. Returns undefined if valid.
+function toolArgsProblem(name, args) {
+  const parsed = z.object(knownTools.get(name)).strict().safeParse(args);
+  return parsed.success ? undefined : describeIssues(parsed.error);
+}
+
+// Registers a tool and checks its structured output against the declared
+// outputSchema, so a drifting backend shape surfaces as a readable error
+// instead of a protocol-level validation failure.
+function registerTool(server, name, config, handler) {
+  knownTools.set(name, config.inputSchema);
+  if (!toolEnabled(name, config.annotations)) return undefined;
+  return server.registerTool(name, config, (input, extra) => audited(name, input, async () => {
+    const args = canonicalRepos(input);
+    try {
+      checkRepoPolicy(name, args, config.annotations.destructiveHint || args.post_comments === true);
+    } catch (e) {
+      return errorResult(e);
+    }
+    const result = await handler(args, extra);
+    if (result.isError) return result;
+    const parsed = config.outputSchema.safeParse(result.structuredContent);
+    if (parsed.success) return result;
+    return errorResult(new Error(`Unexpected response from Cloud Agent for ${name} (${describeIssues(parsed.error)}). The backend API may have changed; try updating mcp-server-cloud-agent.`));
+  }));
+}
+
+// Each MCP connection gets its own server instance: stdio has exactly one,
+// while the HTTP transport creates one per session.
+function createServer() {
+  const server = new McpServer({
+    name: "cloud-agent",
+    version,
+  }, {
+    capabilities: { logging: {} },
+  });
+  const prompts = new Map();
+
+  // ── Tool: run_task ────────────────────────────────────────────────
+
+  const taskInputs = {
+    repo: repoSchema.describe(REPO_DESCRIPTION),
+    task: z.string().min(1).describe("Task description, e.g. 'Fix the login bug' or 'Add dark mode to the settings page'"),
+    base_branch: z.string().optional().describe("Branch to base changes on (default: main)"),
+    mode: modeSchema,
+    idempotency_key: idempotencyKeySchema,
+  };
+
+  registerTool(server, "run_task", {
+    description: "Run a coding task: write code, fix bugs, add features, refactor. The AI agent clones the repo, makes changes, and opens a PR. Returns the result and PR URL when complete.",
+    inputSchema: {
+      ...taskInputs,
+      ...prOptionsSchema,
+      dry_run: z.boolean().optional().describe("Return a plan and diff without pushing a branch or opening a PR (same as plan_task). Open the PR later with apply_plan"),
+    },
+    outputSchema: taskOutputSchema,
+    annotations: { destructiveHint: true, readOnlyHint: false, openWorldHint: true },
+  }, async (args, extra) => runTask("run_task", args, extra, args.dry_run === true));
+
+  // ── Tool: plan_task ───────────────────────────────────────────────
+  // A dry run of run_task. It's a separate tool because annotations are per
+  // tool, and a dry run shouldn't need the destructive-action confirmation.
+
+  registerTool(server, "plan_task", {
+    description: "Plan a coding task without touching the repository. The agent works out the change and returns a plan, a unified diff, and a plan_id — no branch is pushed and no PR is opened. Pass the plan_id to apply_plan to open a PR from that exact diff.",
+    inputSchema: taskInputs,
+    outputSchema: taskOutputSchema,
+    annotations: { destructiveHint: false, readOnlyHint: true, openWorldHint: true },
+  }, async (args, extra) => runTask("plan_task", args, extra, true));
+
+  // ── Tool: apply_plan ──────────────────────────────────────────────
+
+  registerTool(server, "apply_plan", {
+    description: "Open a PR from a plan returned by plan_task (or run_task with dry_run). Applies exactly the reviewed diff instead of re-running the task. Returns the PR URL.",
+    inputSchema: {
+      plan_id: z.string().min(1).describe("plan_id returned by plan_task or a dry run"),
+      ...prOptionsSchema,
+      mode: modeSchema,
+      idempotency_key: idempotencyKeySchema,
+    },
+    outputSchema: taskOutputSchema,
+    annotations: { destructiveHint: true, readOnlyHint: false, openWorldHint: true },
+  }, async (args, extra) =>
+    taskCall("apply_plan", args, `/api/plans/${encodeURIComponent(args.plan_id)}/apply`, prFields(args), extra)
+  );
+
+  // ── Tool: review_pr ───────────────────────────────────────────────
+
+  registerTool(server, "review_pr", {
+    description: "Review a pull request on GitHub, GitLab (merge request) or Bitbucket. Returns a verdict (approve, request_changes or comment) and a list of findings, each with file, line range, severity, category, whether it blocks merging, and a suggested fix. Can focus on some categories or paths, and optionally posts review comments directly to the pull request.",
+    inputSchema: {
+      pr_url: prUrlSchema.describe(PR_URL_DESCRIPTION),
+      focus: z.array(z.enum(REVIEW_FOCUS)).min(1).optional().describe("Only review for these categories (default: all)"),
+      min_severity: z.enum(REVIEW_SEVERITIES).optional().describe("Leave out findings below this severity (default: info, i.e. everything)"),
+      include_paths: z.array(z.string().min(1)).max(50).optional().describe("Only review files matching these globs, e.g. ['src/**']. '*' stays within a directory, '**' spans directories"),
+      exclude_paths: z.array(z.string().min(1)).max(50).optional().describe("Skip files matching these globs, e.g. ['**/*.test.ts', 'docs/**']"),
+      // Read-only mode never posts, so it doesn't offer the options.
+      ...(!READ_ONLY && {
+        post_comments: z.boolean().optional().describe("Post review comments directly to the pull request (default: false)"),
+        post_min_severity: z.enum(REVIEW_SEVERITIES).optional().describe("With post_comments, only post findings at or above this severity, e.g. 'high' for just the blocking ones (default: post all returned findings)"),
+      }),
+    },
+    outputSchema: reviewOutputSchema,
+    annotations: { destructiveHint: false, readOnlyHint: READ_ONLY, openWorldHint: true },
+  }, async ({ pr_url, post_comments, post_min_severity, ...filters }, { signal }) => {
+    const { repo, forge, host } = parsePrUrl(pr_url);
+    const body = { pr_url, repo, forge, forge_host: host, ...filters, post_review: !READ_ONLY && post_comments === true };
+    if (body.post_review && post_min_severity) body.post_min_severity = post_min_severity;
+    return authedCall("POST", "/review", body, { signal }, (result) => {
+      const output = reviewOutput(result, filters);
+      return toolResult(output, reviewText(output));
+    });
+  });
+
+  // ── Tool: ask_codebase ────────────────────────────────────────────
+
+  registerTool(server, "ask_codebase", {
+    description: "Ask a question about any repository's codebase on GitHub, GitLab or Bitbucket. Auto-indexes the repo on first use. Returns an answer with citations (files, line ranges and commit SHA, also as resource links to the exact lines) and a conversation_id; pass it back to ask follow-ups like 'and where is that called from?'. Can answer against a branch, tag or commit, and be scoped to some paths.",
+    inputSchema: {
+      question: z.string().min(1).describe("Question about the codebase, e.g. 'How does authentication work?'"),
+      repo: repoSchema.describe(REPO_DESCRIPTION),
+      conversation_id: z.string().min(1).max(255).regex(/^[A-Za-z0-9_.:-]+$/, "Use the conversation_id from an earlier answer").optional().describe("conversation_id from an earlier answer, to ask a follow-up in the same context. Omit it to start a new conversation"),
+      ref: z.string().max(200).regex(/^(?!.*\.\.)(?![/-])[A-Za-z0-9._\/-]+(?<![\/.])$/, "Must be a branch, tag or commit SHA, e.g. 'release/2.4' or 'v2.4.0'").optional().describe("Branch, tag or commit SHA to answer against (default: the default branch, or the conversation's ref for a follow-up)"),
+      paths: z.array(z.string().min(1)).min(1).max(50).optional().describe("Only look at these paths or globs, e.g. ['packages/api/**'] in a monorepo (default: the whole repo, or the conversation's paths for a follow-up)"),
+    },
+    outputSchema: answerOutputSchema,
+    annotations: { destructiveHint: false, readOnlyHint: true, openWorldHint: true },
+  }, async ({ question, repo, conversation_id, ref, paths }, { signal }) => {
+    const previous = conversation_id && recallConversation(conversation_id);
+    if (previous && previous.repo !== repo) {
+      return errorResult(new Error(`Conversation ${conversation_id} is about ${previous.repo}, not ${repo}. Omit conversation_id to start a new conversation.`));
+    }
+    const scope = { repo, ref: ref ?? previous?.ref, paths: paths ?? previous?.paths };
+    const body = { question, ...forgeFields(repo), ref: scope.ref, paths: scope.paths, conversation_id, history: previous?.turns };
+    return authedCall("POST", "/ask", body, { signal }, (result) => {
+      const id = result.conversation_id || conversation_id || `conv_${crypto.randomUUID()}`;
+      rememberTurn(id, scope, question, result.answer || "");
+      const output = { ...result, conversation_id: id, ref: result.ref ?? scope.ref ?? null, ...citations(result, repo) };
+      const answer = toolResult(output, `${result.answer || JSON.stringify(result, null, 2)}\n\nFollow up with conversation_id "${id}".`);
+      answer.content.push(...citationLinks(output.citations));
+      return answer;
+    });
+  });
+
+  // ── Tool: generate_tests ──────────────────────────────────────────
+
+  registerTool(server, "generate_tests", {
+    description: "Generate tests for files in a repository on GitHub, GitLab or Bitbucket. Takes paths or globs, an optional test framework and coverage target. Opens one PR with the tests (or one PR per file), or with no_pr returns the generated test files inline for local review.",
+    inputSchema: {
+      repo: repoSchema.describe(REPO_DESCRIPTION),
+      files: z.array(z.string().min(1).max(500)).min(1).max(100).optional().describe("Files or glob patterns to generate tests for, e.g. ['src/auth.ts', 'src/billing/**/*.ts']"),
+      file: z.string().min(1).optional().describe("A single file to generate tests for, e.g. 'src/auth.ts'. Same as files with one entry"),
+      framework: z.string().min(1).max(50).optional().describe("Test framework to write for, e.g. 'vitest', 'jest', 'pytest' or 'go test' (default: whatever the repo already uses)"),
+      coverage_threshold: z.number().min(1).max(100).optional().describe("Keep adding tests until line coverage of the target files reaches this percentage, e.g. 80"),
+      pr_grouping: z.enum(["single", "per_file"]).optional().describe("single (default) puts all generated tests in one PR; per_file opens one PR per source file"),
+      no_pr: z.boolean().optional().describe("Return the generated test files inline instead of pushing a branch and opening a PR, to review them locally first"),
+      mode: modeSchema,
+      idempotency_key: idempotencyKeySchema,
+    },
+    outputSchema: taskOutputSchema,
+    annotations: { destructiveHint: true, readOnlyHint: false, openWorldHint: true },
+  }, async (args, extra) => {
+    const files = [...new Set([...(args.file ? [args.file] : []), ...(args.files || [])])];
+    if (!files.length) return errorResult(new Error("Pass the files to generate tests for, as files (paths or globs) or a single file."));
+    if (args.no_pr && args.pr_grouping) return errorResult(new Error("pr_grouping has no effect with no_pr, which opens no PR. Pass one or the other."));
+    const body = {
+      files,
+      // Backends that predate multi-file runs only read file.
+      ...(files.length === 1 && { file: files[0] }),
+      framework: args.framework,
+      coverage_threshold: args.coverage_threshold,
+      pr_grouping: args.pr_grouping,
+      no_pr: args.no_pr,
+      ...forgeFields(args.repo),
+    };
+    return taskCall("generate_tests", args, "/test", body, extra);
+  });
+
+  // ── Tool: security_scan ───────────────────────────────────────────
+
+  registerTool(server, "security_scan", {
+    description: "Run a security and dependency scan on one or more repositories on GitHub, GitLab or Bitbucket. Checks for vulnerabilities, secret exposure, and security anti-patterns.",
+    inputSchema: {
+      repos: z.array(repoSchema).min(1).describe("Repos as owner/repo on GitHub or host/path on other forges, e.g. ['owner/repo1', 'gitlab.com/group/project']"),
+      type: z.enum(["all", "dependencies", "secrets", "code"]).optional().describe("Scan type (default: all)"),
+    },
+    outputSchema: scanOutputSchema,
+    annotations: { destructiveHint: false, readOnlyHint: true, openWorldHint: true },
+  }, async ({ repos, type }, { signal }) =>
+    authedCall("POST", "/scan", { repos, repo_refs: repos.map(forgeFields), type: type || "all" }, { signal }, (result) =>
+      toolResult(result)
     )
-);
+  );
+
+  // ── Tool: list_sessions ───────────────────────────────────────────
+
+  registerTool(server, "list_sessions", {
+    description: "List agent sessions with status, cost, duration, and PR URLs, newest first. Filter by status, repo, source, user, date range or whether a PR was opened. Use to check on past or running tasks; pass next_cursor back as cursor to page through older history.",
+    inputSchema: {
+      limit: z.number().int().min(1).max(100).optional().describe("Max sessions per page (default: 20)"),
+      status: z.enum(["running", "completed", "error", "cancelled"]).optional().describe("Filter by session status"),
+      repo: repoSchema.optional().describe("Only sessions for this repo, as owner/repo on GitHub or host/path on other forges"),
+      source: z.string().min(1).max(50).optional().describe("Only sessions started from this source, e.g. 'mcp', 'slack', 'web' or 'api'"),
+      user: z.string().min(1).max(100).optional().describe("Only sessions started by this user (username or email)"),
+      since: dateSchema.optional().describe("Only sessions created at or after this ISO 8601 date or date-time"),
+      until: dateSchema.optional().describe("Only sessions created before this ISO 8601 date or date-time"),
+      has_pr: z.boolean().optional().describe("true for sessions that opened a PR, false for those that didn't"),
+      sort: z.enum(["newest", "oldest"]).optional().describe("Sort by creation time (default: newest)"),
+      cursor: z.string().min(1).max(1000).optional().describe("next_cursor from a previous call, to fetch the next page. Keep the other filters the same"),
+    },
+    outputSchema: z.object({
+      sessions: z.array(sessionOutputSchema),
+      next_cursor: nullableString,
+    }),
+    annotations: { destructiveHint: false, readOnlyHint: true, openWorldHint: false },
+  }, async (args, { signal }) => {
+    if (args.since && args.until && Date.parse(args.since) > Date.parse(args.until)) {
+      return errorResult(new Error("since must not be later than until."));
+    }
+    const filters = args.repo ? { ...args, ...forgeFields(args.repo) } : args;
+    return authedCall("GET", sessionsPath(filters), undefined, { signal }, (result) => {
+      const sessions = result.sessions || result;
+      const nextCursor = result.next_cursor || null;
+      let text = JSON.stringify(sessions, null, 2);
+      if (nextCursor) text += `\n\nMore sessions available: call list_sessions again with cursor "${nextCursor}".`;
+      return toolResult({ sessions, next_cursor: nextCursor }, text);
+    });
+  });
+
+  // ── Tool: get_session ─────────────────────────────────────────────
+
+  registerTool(server, "get_session", {
+    description: "Get the current status of a single agent session. Returns the result and PR URL once the session has completed.",
+    inputSchema: {
+      session_id: sessionIdSchema,
+    },
+    outputSchema: sessionOutputSchema,
+    annotations: { destructiveHint: false, readOnlyHint: true, openWorldHint: false },
+  }, async ({ session_id }, { signal }) => authedRun(async () => {
+    const session = await getSession(session_id, signal);
+    recordSessionCost(session_id, session);
+    return toolResult(session);
+  }));
+
+  // ── Tool: get_session_transcript ──────────────────────────────────
+
+  registerTool(server, "get_session_transcript", {
+    description: "Page through a session's full event log: agent messages, commands run, test output and files touched. Use it to see why a task went wrong. Long fields are clipped; continue from next_offset until it is null.",
+    inputSchema: {
+      session_id: sessionIdSchema,
+      offset: z.number().int().min(0).optional().describe("Index of the first event to return, counted after the type filter (default: 0)"),
+      limit: z.number().int().min(1).max(500).optional().describe(`Max events to return (default: ${TRANSCRIPT_PAGE_LIMIT}). Pages may stop early to stay under the response size limit`),
+      types: z.array(z.string().min(1)).min(1).optional().describe("Only return these event types, e.g. ['command', 'test_output']. Common types: message, command, test_output, file_change"),
+    },
+    outputSchema: transcriptOutputSchema,
+    annotations: { destructiveHint: false, readOnlyHint: true, openWorldHint: false },
+  }, async ({ session_id, ...page }, { signal }) => authedRun(async () =>
+    toolResult(await getTranscript(session_id, page, signal))
+  ));
+
+  // ── Tool: wait_for_session ────────────────────────────────────────
+
+  registerTool(server, "wait_for_session", {
+    description: "Wait for an async session to finish, polling with backoff. Returns the same result shape as run_task once complete, or the current status if it is still running when the wait times out.",
+    inputSchema: {
+      session_id: sessionIdSchema,
+      timeout_seconds: z.number().int().min(1).max(3600).optional().describe("Max seconds to wait before returning the current status (default: 300)"),
+    },
+    outputSchema: taskOutputSchema,
+    annotations: { destructiveHint: false, readOnlyHint: true, openWorldHint: false },
+  }, async ({ session_id, timeout_seconds }, { signal }) => authedRun(async () => {
+    const session = await pollSession(session_id, (timeout_seconds || 300) * 1000, signal);
+    recordSessionCost(session_id, session);
+    return toolResult(waitOutput(session_id, session));
+  }));
+
+  // ── Tool: cancel_session ──────────────────────────────────────────
 
-// ── Tool: get_usage ─────────────────────────────────────────────────
+  registerTool(server, "cancel_session", {
+    description: "Cancel a running agent session so it stops working and spending. Use list_sessions to find runaway tasks.",
+    inputSchema: {
+      session_id: sessionIdSchema,
+    },
+    outputSchema: z.object({
+      session_id: z.string().optional(),
+      status: z.string().optional(),
+    }).passthrough(),
+    annotations: { destructiveHint: true, readOnlyHint: false, openWorldHint: false },
+  }, async ({ session_id }) => authedRun(async () => {
+    const result = await cancelSession(session_id);
+    forgetSession(session_id);
+    return toolResult(result);
+  }));
 
-server.tool(
-  "get_usage",
-  "Get usage statistics: total sessions, cost, estimated time saved, breakdowns by source, repo, and user. Useful for tracking ROI.",
-  {
-    days: z.number().int().min(1).max(365).optional().describe("Number of days to look back (default: all time)"),
-  },
-  { destructiveHint: false, readOnlyHint: true, openWorldHint: false },
-  async ({ days }) => {
+  // ── Tool: list_playbooks ──────────────────────────────────────────
+
+  registerTool(server, "list_playbooks", {
+    description: "List available playbooks — reusable workflow templates for common engineering tasks like bug triage, security remediation, test coverage, docs sync, and more.",
+    inputSchema: {},
+    outputSchema: z.object({ playbooks: z.array(playbookOutputSchema) }),
+    annotations: { destructiveHint: false, readOnlyHint: true, openWorldHint: false },
+  }, async (_args, { signal }) => authedCall("GET", "/api/playbooks", undefined, { signal }, (result) => {
+    playbookCatalog = playbooksFrom(result);
+    if (runPlaybook) syncPlaybookPrompts(server, prompts, playbookCatalog);
+    return toolResult({ playbooks: playbookCatalog }, JSON.stringify(result, null, 2));
+  }));
+
+  // ── Tool: run_playbook ────────────────────────────────────────────
+
+  const runPlaybook = registerTool(server, "run_playbook", {
+    description: "Run a playbook (reusable workflow template) against a repository. Use list_playbooks to see available options. Built-in playbooks include: bug-triage, security-remediation, dependency-upgrade, docs-sync, test-coverage, code-migration, pr-review-cycle.",
+    inputSchema: {
+      slug: z.string().min(1).describe("Playbook slug, e.g. 'bug-triage', 'security-remediation', 'test-coverage'"),
+      repo: repoSchema.describe(REPO_DESCRIPTION),
+      inputs: z.record(z.string()).optional().describe("Additional inputs for the playbook template variables"),
+      mode: modeSchema,
+      idempotency_key: idempotencyKeySchema,
+    },
+    outputSchema: taskOutputSchema.passthrough(),
+    annotations: { destructiveHint: true, readOnlyHint: false, openWorldHint: true },
+  }, async (args, extra) =>
+    taskCall("run_playbook", args, `/api/playbooks/${encodeURIComponent(args.slug)}/run`, { ...forgeFields(args.repo), inputs: args.inputs }, extra, (result) => result)
+  );
+
+  // ── Tool: get_usage ───────────────────────────────────────────────
+
+  registerTool(server, "get_usage", {
+    description: "Get usage statistics: total sessions, cost, estimated time saved, breakdowns by source, repo, and user. Useful for tracking ROI.",
+    inputSchema: {
+      days: z.number().int().min(1).max(365).optional().describe("Number of days to look back (default: all time)"),
+    },
+    outputSchema: usageOutputSchema,
+    annotations: { destructiveHint: false, readOnlyHint: true, openWorldHint: false },
+  }, async ({ days }, { signal }) => {
     const path = days ? `/api/usage?days=${days}` : "/api/usage";
-    return authedCall("GET", path, undefined, (result) =>
-      JSON.stringify(result, null, 2)
+    return authedCall("GET", path, undefined, { signal }, (result) =>
+      toolResult(result)
     );
+  });
+
+  // ── Resource: sessions ──────────────────────────────────────────
+
+  server.registerResource(
+    "session",
+    new ResourceTemplate("cloud-agent://sessions/{id}", {
+      list: async (extra) => authedResourceList(async () => {
+        const result = await request("GET", sessionsPath({ limit: RESOURCE_LIST_LIMIT }), undefined, { signal: extra.signal });
+        return {
+          resources: (result.sessions || result).map((session) => ({
+            uri: sessionUri(session.id),
+            name: `Session ${session.id}`,
+            description: [session.status, session.repo].filter(Boolean).join(" — "),
+            mimeType: "application/json",
+          })),
+        };
+      }),
+    }),
+    { description: "An agent session: status, cost, duration and PR URL", mimeType: "application/json" },
+    async (uri, { id }, extra) => authedResource(async () =>
+      jsonResource(uri, await getSession(decodeURIComponent(id), extra.signal))
+    )
+  );
+
+  server.registerResource(
+    "session-transcript",
+    new ResourceTemplate("cloud-agent://sessions/{id}/transcript", { list: undefined }),
+    { description: "The full event log of an agent session", mimeType: "application/json" },
+    async (uri, { id }, extra) => authedResource(async () =>
+      jsonResource(uri, await request("GET", `${sessionPath(decodeURIComponent(id))}/transcript`, undefined, { signal: extra.signal }))
+    )
+  );
+
+  // ── Resource: playbooks ─────────────────────────────────────────
+
+  server.registerResource(
+    "playbook",
+    new ResourceTemplate("cloud-agent://playbooks/{slug}", {
+      list: async (extra) => authedResourceList(async () => ({
+        resources: (await listPlaybooks(extra.signal)).map((playbook) => ({
+          uri: `cloud-agent://playbooks/${encodeURIComponent(playbook.slug)}`,
+          name: playbook.slug,
+          title: playbook.name,
+          description: playbook.description,
+          mimeType: "application/json",
+        })),
+      })),
+    }),
+    { description: "A playbook (reusable workflow template) and its inputs", mimeType: "application/json" },
+    async (uri, { slug }, extra) => authedResource(async () => {
+      const wanted = decodeURIComponent(slug);
+      const playbook = (await listPlaybooks(extra.signal)).find((p) => p.slug === wanted);
+      if (!playbook) throw new Error(`Playbook "${wanted}" not found`);
+      return jsonResource(uri, playbook);
+    })
+  );
+
+  enableSessionSubscriptions(server);
+  // Playbook prompts ask the model to call run_playbook, so they go with it.
+  if (runPlaybook) syncPlaybookPrompts(server, prompts, playbookCatalog);
+
+  return server;
+}
+
+// ── HTTP transport ──────────────────────────────────────────────────
+
+const MAX_REQUEST_SIZE = 1024 * 1024; // 1MB
+
+function isLoopback(host) {
+  return host === "localhost" || host === "::1" || /^127(\.\d{1,3}){3}$/.test(host);
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function jsonRpcError(res, statusCode, message) {
+  sendJson(res, statusCode, { jsonrpc: "2.0", error: { code: -32000, message }, id: null });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    let size = 0;
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_REQUEST_SIZE) { req.destroy(); return reject(new Error("Request body too large")); }
+      data += c;
+    });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : undefined);
+      } catch {
+        reject(new Error("Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// On a loopback bind, only requests addressed to this server are served. A
+// web page that rebinds its own hostname to 127.0.0.1 still sends its own
+// Host and Origin, so it can't drive the tools with the server's API key.
+function loopbackOrigins(address, port) {
+  const hosts = [...new Set(["localhost", "127.0.0.1", "[::1]", address])].map((h) => `${h}:${port}`);
+  return { hosts, origins: hosts.map((h) => `http://${h}`) };
+}
+
+function foreignRequest(req, allowed) {
+  if (!allowed.hosts.includes(String(req.headers.host).toLowerCase())) return `Host ${req.headers.host} is not allowed`;
+  const origin = req.headers.origin;
+  if (origin !== undefined && !allowed.origins.includes(origin.toLowerCase())) return `Origin ${origin} is not allowed`;
+  return undefined;
+}
+
+// Constant-time comparison so the token can't be recovered byte by byte.
+function isAuthorized(header) {
+  const expected = Buffer.from(`Bearer ${MCP_TOKEN}`);
+  const actual = Buffer.from(header || "");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+async function startHttp() {
+  if (!MCP_TOKEN && !isLoopback(HTTP_HOST)) {
+    throw new Error("CLOUD_AGENT_MCP_TOKEN is required to serve MCP over HTTP on a non-loopback host.");
   }
-);
+
+  // Session id -> { transport, lastSeen, open }, where open counts requests
+  // still in progress (an SSE stream can stay open for a long time).
+  const sessions = new Map();
+  let allowed;
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      if (new URL(req.url, "http://localhost").pathname !== "/mcp") {
+        return sendJson(res, 404, { error: "Not found" });
+      }
+      const foreign = allowed && foreignRequest(req, allowed);
+      if (foreign) return jsonRpcError(res, 403, `${foreign}. Connect to ${allowed.origins[0]}/mcp.`);
+      if (MCP_TOKEN && !isAuthorized(req.headers.authorization)) {
+        return sendJson(res, 401, { error: "Unauthorized" }, { "WWW-Authenticate": "Bearer" });
+      }
+
+      const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+      const sessionId = req.headers["mcp-session-id"];
+      let session = sessionId ? sessions.get(sessionId) : undefined;
+
+      if (sessionId && !session) return jsonRpcError(res, 404, "Session not found");
+      if (!session) {
+        if (!isInitializeRequest(body)) return jsonRpcError(res, 400, "No valid session ID provided");
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => crypto.randomUUID(),
+          onsessioninitialized: (id) => sessions.set(id, session),
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) sessions.delete(transport.sessionId);
+        };
+        session = { transport, lastSeen: Date.now(), open: 0 };
+        await createServer().connect(transport);
+      }
+
+      session.open++;
+      res.once("close", () => {
+        session.open--;
+        session.lastSeen = Date.now();
+      });
+      await session.transport.handleRequest(req, res, body);
+    } catch (e) {
+      if (!res.headersSent) jsonRpcError(res, 400, e.message);
+    }
+  });
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - HTTP_SESSION_IDLE_MS;
+    for (const [id, session] of sessions) {
+      if (session.open > 0 || session.lastSeen > cutoff) continue;
+      sessions.delete(id);
+      session.transport.close().catch(() => {});
+    }
+  }, Math.min(HTTP_SESSION_IDLE_MS, 60_000));
+  sweep.unref();
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(HTTP_PORT, HTTP_HOST, resolve);
+  });
+  const { address, port } = httpServer.address();
+  const host = address.includes(":") ? `[${address}]` : address;
+  if (isLoopback(HTTP_HOST)) allowed = loopbackOrigins(host, port);
+  console.error(`Cloud Agent MCP server listening on http://${host}:${port}/mcp`);
+}
 
 // ── Start ───────────────────────────────────────────────────────────
 
+// A subcommand (`run-task`, `sessions`, ...) runs one tool from the command
+// line instead of starting the server; see cli.js.
+const cli = require("./cli.js");
+const CLI_ARGS = cli.commandArgs(process.argv.slice(2));
+
 async function main() {
+  if (TRANSPORT !== "stdio" && TRANSPORT !== "http") {
+    throw new Error(`Unknown transport "${TRANSPORT}". Use "stdio" or "http".`);
+  }
+  for (const { env, limit } of Object.values(BUDGETS)) {
+    if (!(limit >= 0)) throw new Error(`${env} must be a non-negative amount in USD.`);
+  }
+  checkRepoRules();
+  checkForgeHosts();
+  if (MOCK) {
+    const mock = await require("./mock-backend.js").startMockBackend({
+      latencyMs: process.env.CLOUD_AGENT_MOCK_LATENCY_MS ? Number(process.env.CLOUD_AGENT_MOCK_LATENCY_MS) : undefined,
+      faults: process.env.CLOUD_AGENT_MOCK_FAULTS,
+    });
+    mock.server.unref(); // the MCP transport decides when the process exits
+    BASE_URL = mock.url;
+    console.error(`Using the built-in mock backend at ${BASE_URL}`);
+  }
+  configureBackendTls();
+  if (CLI_ARGS) {
+    await loadSpending();
+    process.exitCode = await cli.runCli(CLI_ARGS, { createServer, toolArgsProblem, version, json: cliFlag("json") });
+    return;
+  }
+  await loadPlaybookCatalog();
+  await loadSpending();
+  // Building a server registers every tool name, which the allow and deny
+  // lists are checked against before any client connects.
+  const server = createServer();
+  checkToolLists();
+  if (TRANSPORT === "http") return startHttp();
   const transport = new StdioServerTransport();
   await server.connect(transport);
 }
 
-main().catch((e) => {
-  console.error("MCP server error:", e);
-  process.exit(1);
-});
+// Required rather than run (by the tests), the module only exports its pure
+// helpers and starts nothing.
+if (require.main === module) {
+  main().catch((e) => {
+    console.error("MCP server error:", e);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseStreamChunk,
+  retryAfterMs,
+  isRetryable,
+  backoffMs,
+  proxyFor,
+  redact,
+  redactText,
+  playbookVariables,
+  stableStringify,
+  idempotencyKey,
+  repoCosts,
+  parseRepo,
+  parsePrUrl,
+  forgeFields,
+  canonicalRepos,
+  repoGlob,
+  transcriptPage,
+  TRANSCRIPT_MAX_BYTES,
+  TRANSCRIPT_FIELD_MAX_CHARS,
+  pathGlob,
+  reviewFinding,
+  reviewOutput,
+  citation,
+  citations,
+  citationLinks,
+};
@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+
+// Local stand-in for the Cloud Agent backend, for offline development, demos
+// and tests. Serves the endpoints the MCP server calls with canned responses,
+// simulated latency and injectable faults. Nothing leaves the machine and
+// nothing costs money.
+//
+//   mcp-server-cloud-agent-mock --port 4010 --fault /review=429
+//   CLOUD_AGENT_URL=http://127.0.0.1:4010 CLOUD_AGENT_API_KEY=ca_mock npx mcp-server-cloud-agent
+//
+// `mcp-server-cloud-agent --mock` runs the same backend in-process instead.
+
+const http = require("http");
+const crypto = require("crypto");
+
+const DEFAULT_LATENCY_MS = 300;
+const OVERSIZED_BYTES = 6 * 1024 * 1024; // past the client's 5MB response limit
+const FAULTS = new Set(["401", "404", "429", "500", "503", "timeout", "oversized", "malformed"]);
+
+// ── Canned data ─────────────────────────────────────────────────────
+
+const PLAYBOOKS = [
+  { slug: "bug-triage", name: "Bug triage", description: "Reproduce a reported bug, find the root cause and open a fix PR", inputs: [{ name: "issue", description: "Issue number or bug description", required: true }] },
+  { slug: "security-remediation", name: "Security remediation", description: "Fix findings from a security scan", inputs: [{ name: "severity", description: "Minimum severity to fix (default: high)" }] },
+  { slug: "dependency-upgrade", name: "Dependency upgrade", description: "Upgrade a dependency and fix any breakage", inputs: [{ name: "package", description: "Package to upgrade", required: true }] },
+  { slug: "docs-sync", name: "Docs sync", description: "Bring the docs in line with the current code", inputs: [] },
+  { slug: "test-coverage", name: "Test coverage", description: "Add tests for the least-covered modules", inputs: [{ name: "target", description: "Coverage target in percent" }] },
+  { slug: "code-migration", name: "Code migration", description: "Migrate code from one API or framework to another", inputs: [{ name: "from", required: true }, { name: "to", required: true }] },
+  { slug: "pr-review-cycle", name: "PR review cycle", description: "Address review comments on an open PR", inputs: [{ name: "pr", description: "PR number", required: true }] },
+];
+
+const PROGRESS_PHASES = [
+  { phase: "cloning", message: "Cloning repository" },
+  { phase: "editing", message: "Editing files" },
+  { phase: "testing", message: "Running tests" },
+  { phase: "pr", message: "Opening pull request" },
+];
+
+const SAMPLE_DIFF = [
+  "--- a/src/auth.ts",
+  "+++ b/src/auth.ts",
+  "@@ -41,7 +41,8 @@ export async function handleCallback(req: Request) {",
+  "-  const redirect = req.query.redirect;",
+  "+  const redirect = safeRedirect(req.query.redirect);",
+  "+  if (!redirect) return res.redirect(\"/\");",
+  "   return res.redirect(redirect);",
+].join("\n");
+
+const MOCK_COMMIT_SHA = "3f9c2a1d7e4b8c6f0a2d5e8b1c4f7a0d3e6b9c2f";
+
+const SOURCE_FILES = ["src/auth.ts", "src/session.ts", "src/routes.ts", "src/billing/invoice.ts"];
+
+const SEVERITIES = ["info", "low", "medium", "high", "critical"];
+
+const REVIEW_FINDINGS = [
+  { file: "src/auth.ts", start_line: 42, end_line: 44, severity: "high", category: "security", message: "The redirect target comes straight from the query string, allowing open redirects.", suggested_fix: "Validate the target with safeRedirect() and fall back to /." },
+  { file: "src/session.ts", start_line: 17, end_line: 17, severity: "medium", category: "correctness", message: "The session cookie is set without the Secure flag.", suggested_fix: "Pass { secure: true } when setting the cookie." },
+  { file: "src/auth.ts", start_line: 88, end_line: 95, severity: "low", category: "performance", message: "The user is fetched twice per callback.", suggested_fix: "Reuse the user loaded at the top of handleCallback." },
+  { file: "src/auth.test.ts", start_line: 5, end_line: 5, severity: "info", category: "style", message: "Test name doesn't describe the behaviour under test.", suggested_fix: null },
+];
+
+// ── Helpers ─────────────────────────────────────────────────────────
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = "";
+    req.on("data", (c) => { data += c; });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch {
+        resolve({});
+      }
+    });
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function prNumber() {
+  return 100 + crypto.randomInt(900);
+}
+
+// Web URL of a session's repo. Requests carry the forge alongside the repo,
+// whose id is owner/repo on github.com and host/path elsewhere.
+function repoUrl(session) {
+  const host = session.forge_host || "github.com";
+  return host === "github.com" ? `https://github.com/${session.repo}` : `https://${session.repo}`;
+}
+
+// A new PR (or merge request) URL in the layout of the repo's forge.
+function prUrl(session) {
+  const layout = { gitlab: "-/merge_requests", bitbucket: "pull-requests" }[session.forge] || "pull";
+  return `${repoUrl(session)}/${layout}/${prNumber()}`;
+}
+
+// Globs expand against a few canonical source files.
+function testTargets(patterns) {
+  const matches = patterns.flatMap((pattern) => {
+    if (!/[*?]/.test(pattern)) return [pattern];
+    const regex = new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*\*\/?|\*|\?/g, (m) => (m === "?" ? "[^/]" : m === "*" ? "[^/]*" : ".*"))}$`);
+    return SOURCE_FILES.filter((file) => regex.test(file));
+  });
+  return [...new Set(matches)];
+}
+
+function repoFrom(text) {
+  return String(text || "").match(/\b([\w.-]+\/[\w.-]+)\b/)?.[1] || "demo/app";
+}
+
+// `/review=429`, `*=timeout@0.2`: a route prefix, a fault and an optional
+// probability.
+function parseFaults(spec) {
+  return String(spec || "").split(",").map((s) => s.trim()).filter(Boolean).map((rule) => {
+    const match = rule.match(/^([^=]+)=([\w]+)(?:@([\d.]+))?$/);
+    if (!match || !FAULTS.has(match[2])) {
+      throw new Error(`Invalid fault "${rule}". Use route=fault[@probability] with one of: ${[...FAULTS].join(", ")}`);
+    }
+    return { route: match[1], fault: match[2], probability: match[3] === undefined ? 1 : Number(match[3]) };
+  });
+}
+
+// A fault for this request: a `[mock:429]` marker in the task text wins,
+// then the first matching configured rule.
+function pickFault(faults, path, body) {
+  const scripted = JSON.stringify(body).match(/\[mock:(\w+)\]/)?.[1];
+  if (scripted && FAULTS.has(scripted)) return scripted;
+  const rule = faults.find((f) => (f.route === "*" || path.startsWith(f.route)) && Math.random() < f.probability);
+  return rule?.fault;
+}
+
+function sendFault(res, fault) {
+  switch (fault) {
+    case "401": return sendJson(res, 401, { error: "Invalid API key" });
+    case "404": return sendJson(res, 404, { error: "Not found" });
+    case "429": return sendJson(res, 429, { error: "Rate limit exceeded" }, { "Retry-After": "1" });
+    case "500": return sendJson(res, 500, { error: "Internal server error" });
+    case "503": return sendJson(res, 503, { error: "Service unavailable" }, { "Retry-After": "1" });
+    case "malformed":
+      res.writeHead(200, { "Content-Type": "application/json" });
+      return res.end("{\"response\": \"truncated");
+    case "oversized":
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.write("{\"response\": \"");
+      res.write("x".repeat(OVERSIZED_BYTES));
+      return res.end("\"}");
+    case "timeout":
+      return undefined; // never answer; the client's timeout fires
+  }
+}
+
+// ── Backend ─────────────────────────────────────────────────────────
+
+// Returns an http.Server; call listen() on it. Options: latencyMs (base
+// delay per task call) and faults (a parseFaults() spec string).
+function createMockBackend(options = {}) {
+  const latencyMs = options.latencyMs ?? DEFAULT_LATENCY_MS;
+  const faults = parseFaults(options.faults);
+  const sessions = new Map();
+  const plans = new Map();
+  const byIdempotencyKey = new Map();
+  let sessionCount = 0;
+
+  function newSession(fields) {
+    const id = `sess_mock_${++sessionCount}`;
+    const session = {
+      id,
+      status: "running",
+      source: "mcp",
+      user: "mock-user",
+      created_at: new Date().toISOString(),
+      cost_usd: null,
+      duration_ms: null,
+      pr_url: null,
+      transcript: [],
+      ...fields,
+    };
+    sessions.set(id, session);
+    return session;
+  }
+
+  function publicSession(session) {
+    const { transcript, result, ...rest } = session;
+    return { ...rest, ...result };
+  }
+
+  // Filters and pages sessions like the real API. The cursor is an opaque
+  // token to clients; here it's just the offset.
+  function sendSessions(res, params) {
+    const limit = Number(params.get("limit")) || 20;
+    const offset = Number(Buffer.from(params.get("cursor") || "", "base64url").toString()) || 0;
+    const since = params.get("since") && Date.parse(params.get("since"));
+    const until = params.get("until") && Date.parse(params.get("until"));
+    const list = [...sessions.values()]
+      .filter((s) => ["status", "repo", "source", "user"].every((f) => !params.has(f) || s[f] === params.get(f)))
+      .filter((s) => !params.has("has_pr") || Boolean(s.pr_url) === (params.get("has_pr") === "true"))
+      .filter((s) => (!since || Date.parse(s.created_at) >= since) && (!until || Date.parse(s.created_at) < until));
+    if (params.get("sort") !== "oldest") list.reverse();
+    const page = list.slice(offset, offset + limit).map(publicSession);
+    const next = offset + limit < list.length ? Buffer.from(String(offset + limit)).toString("base64url") : null;
+    sendJson(res, 200, { sessions: page, next_cursor: next });
+  }
+
+  // Pages the event log like the real API: offset and limit count events
+  // after the optional comma-separated type filter.
+  function sendTranscript(res, session, params) {
+    const types = params.get("types")?.split(",");
+    const events = session.transcript.filter((e) => !types || types.includes(e.type));
+    const offset = Number(params.get("offset")) || 0;
+    const limit = Number(params.get("limit")) || 100;
+    sendJson(res, 200, { session_id: session.id, events: events.slice(offset, offset + limit), total: events.length });
+  }
+
+  // Builds the finished result of a task and records it on the session.
+  function finish(session, kind, body) {
+    const cost = Math.round((0.05 + Math.random() * 0.5) * 100) / 100;
+    const result = { cost_usd: cost, duration_ms: latencyMs * PROGRESS_PHASES.length, session_id: session.id };
+    if (body.dry_run) {
+      const planId = `plan_mock_${session.id.split("_").pop()}`;
+      plans.set(planId, { repo: session.repo, forge: session.forge, forge_host: session.forge_host });
+      Object.assign(result, {
+        response: `Planned the change in ${session.repo}. Nothing was pushed.`,
+        plan_id: planId,
+        plan: "1. Validate the redirect target in src/auth.ts\n2. Fall back to / for external URLs\n3. Add a regression test",
+        diff: SAMPLE_DIFF,
+      });
+    } else if (kind === "test") {
+      Object.assign(result, generatedTests(session, body));
+    } else {
+      Object.assign(result, {
+        response: `Done in ${session.repo}. See the PR for details.`,
+        pr_url: prUrl(session),
+      });
+    }
+    session.transcript.push(
+      { type: "message", role: "user", content: session.prompt || `${kind} in ${session.repo}` },
+      { type: "command", command: `git clone ${repoUrl(session)}`, exit_code: 0 },
+      { type: "file_change", path: "src/auth.ts", change: "modified" },
+      { type: "command", command: "npm test", exit_code: 0 },
+      { type: "test_output", content: "PASS src/auth.test.ts\n  ✓ rejects external redirects\n\nTests: 12 passed, 12 total" },
+      { type: "message", role: "agent", content: result.response },
+    );
+    Object.assign(session, { status: "completed", cost_usd: result.cost_usd, duration_ms: result.duration_ms, pr_url: result.pr_url || null, result });
+    return result;
+  }
+
+  // generate_tests results: one PR, a PR per file, or with no_pr the test
+  // files themselves.
+  function generatedTests(session, body) {
+    const sources = testTargets(body.files || [body.file]);
+    const framework = body.framework || "vitest";
+    const result = {
+      response: `Added ${framework} tests for ${sources.join(", ")} in ${session.repo}.`,
+      coverage_pct: Math.max(body.coverage_threshold || 0, 87.5),
+    };
+    if (body.no_pr) {
+      result.pr_url = null;
+      result.test_files = sources.map((source) => ({
+        path: source.replace(/(\.\w+)?$/, ".test$1"),
+        content: `// ${framework} tests for ${source}\n\ndescribe("${source}", () => {\n  it("handles the happy path", () => {});\n});\n`,
+        source_file: source,
+      }));
+    } else if (body.pr_grouping === "per_file") {
+      result.pr_urls = sources.map(() => prUrl(session));
+      result.pr_url = result.pr_urls[0];
+    } else {
+      result.pr_url = prUrl(session);
+    }
+    return result;
+  }
+
+  // Task endpoints: async handles, streamed progress or a plain JSON result.
+  async function runTask(req, res, kind, body, repo) {
+    const key = req.headers["idempotency-key"];
+    const existing = key && sessions.get(byIdempotencyKey.get(key));
+    if (existing) {
+      res.setHeader("X-Session-Id", existing.id);
+      return sendJson(res, 200, existing.result || { session_id: existing.id, status: existing.status });
+    }
+
+    const session = newSession({ repo, forge: body.forge || "github", forge_host: body.forge_host || "github.com", prompt: kind === "test" ? `Generate tests for ${(body.files || [body.file]).join(", ")}` : body.prompt });
+    if (key) byIdempotencyKey.set(key, session.id);
+    res.setHeader("X-Session-Id", session.id);
+
+    if (body.async) {
+      setTimeout(() => { if (session.status === "running") finish(session, kind, body); }, latencyMs * PROGRESS_PHASES.length);
+      return sendJson(res, 202, { session_id: session.id, status: "running" });
+    }
+
+    const streaming = String(req.headers.accept || "").includes("text/event-stream");
+    if (streaming) res.writeHead(200, { "Content-Type": "text/event-stream" });
+    for (const [i, event] of PROGRESS_PHASES.entries()) {
+      await sleep(latencyMs);
+      if (res.destroyed) return undefined;
+      if (session.status === "cancelled") {
+        if (!streaming) return sendJson(res, 409, { error: `Session ${session.id} was cancelled` });
+        return res.end(`event: error\ndata: ${JSON.stringify({ error: `Session ${session.id} was cancelled` })}\n\n`);
+      }
+      if (streaming) res.write(`event: progress\ndata: ${JSON.stringify({ ...event, progress: i + 1, total: PROGRESS_PHASES.length, session_id: session.id })}\n\n`);
+    }
+    const result = finish(session, kind, body);
+    if (!streaming) return sendJson(res, 200, result);
+    res.end(`event: result\ndata: ${JSON.stringify(result)}\n\n`);
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url, "http://mock");
+    const path = url.pathname;
+    const body = req.method === "POST" ? await readBody(req) : {};
+
+    if (!req.headers.authorization) return sendJson(res, 401, { error: "Missing API key" });
+    const fault = pickFault(faults, path, body);
+    if (fault) return sendFault(res, fault);
+
+    if (req.method === "POST" && path === "/query") return runTask(req, res, "query", body, body.repo || repoFrom(body.prompt));
+    if (req.method === "POST" && path === "/test") return runTask(req, res, "test", body, body.repo);
+    if (req.method === "POST" && path === "/review") {
+      await sleep(latencyMs);
+      const rank = (severity) => SEVERITIES.indexOf(severity);
+      const findings = REVIEW_FINDINGS
+        .filter((f) => !body.focus || body.focus.includes(f.category))
+        .filter((f) => !body.min_severity || rank(f.severity) >= rank(body.min_severity));
+      const blocking = findings.some((f) => rank(f.severity) >= rank("high"));
+      const posted = body.post_review === true
+        ? findings.filter((f) => !body.post_min_severity || rank(f.severity) >= rank(body.post_min_severity)).length
+        : 0;
+      return sendJson(res, 200, {
+        verdict: blocking ? "request_changes" : findings.length ? "comment" : "approve",
+        summary: `${findings.length} findings${blocking ? ", including a blocking one" : ""}.`,
+        findings,
+        posted: body.post_review === true,
+        comments_posted: posted,
+      });
+    }
+    if (req.method === "POST" && path === "/ask") {
+      await sleep(latencyMs);
+      const scope = [body.ref && `at ${body.ref}`, body.paths && `within ${body.paths.join(", ")}`].filter(Boolean).join(" ");
+      const answer = body.history?.length
+        ? `Following up on "${body.history[body.history.length - 1].question}": handleCallback is called from the /auth/callback route in src/routes.ts.`
+        : `In ${body.repo}${scope ? ` ${scope}` : ""}, authentication starts in src/auth.ts (handleCallback), which exchanges the OAuth code and sets the session cookie via src/session.ts.`;
+      return sendJson(res, 200, {
+        answer,
+        commit_sha: MOCK_COMMIT_SHA,
+        citations: [
+          { path: "src/auth.ts", start_line: 41, end_line: 48 },
+          { path: "src/session.ts", start_line: 12, end_line: 20 },
+        ],
+        conversation_id: body.conversation_id || `conv_mock_${crypto.randomUUID().slice(0, 8)}`,
+        ref: body.ref || "main",
+      });
+    }
+    if (req.method === "POST" && path === "/scan") {
+      await sleep(latencyMs);
+      const repos = body.repos || [];
+      return sendJson(res, 200, {
+        repos_scanned: repos.length,
+        vulnerabilities: repos.length,
+        secrets_found: 0,
+        findings: repos.map((repo) => ({ repo, type: "dependency", severity: "high", package: "lodash", advisory: "Prototype pollution", fixed_in: "4.17.21" })),
+      });
+    }
+
+    if (req.method === "GET" && path === "/api/sessions") return sendSessions(res, url.searchParams);
+
+    const sessionMatch = path.match(/^\/api\/sessions\/([^/]+)(\/transcript|\/cancel)?$/);
+    if (sessionMatch) {
+      const session = sessions.get(decodeURIComponent(sessionMatch[1]));
+      if (!session) return sendJson(res, 404, { error: "Session not found" });
+      if (sessionMatch[2] === "/transcript") return sendTranscript(res, session, url.searchParams);
+      if (sessionMatch[2] === "/cancel" && req.method === "POST") {
+        if (session.status === "running") session.status = "cancelled";
+        return sendJson(res, 200, { session_id: session.id, status: session.status });
+      }
+      return sendJson(res, 200, { session: publicSession(session) });
+    }
+
+    if (req.method === "GET" && path === "/api/playbooks") return sendJson(res, 200, { playbooks: PLAYBOOKS });
+    const playbookMatch = path.match(/^\/api\/playbooks\/([^/]+)\/run$/);
+    if (req.method === "POST" && playbookMatch) {
+      const slug = decodeURIComponent(playbookMatch[1]);
+      if (!PLAYBOOKS.some((p) => p.slug === slug)) return sendJson(res, 404, { error: `Playbook "${slug}" not found` });
+      return runTask(req, res, "playbook", body, body.repo);
+    }
+    const planMatch = path.match(/^\/api\/plans\/([^/]+)\/apply$/);
+    if (req.method === "POST" && planMatch) {
+      const plan = plans.get(decodeURIComponent(planMatch[1]));
+      if (!plan) return sendJson(res, 404, { error: "Plan not found" });
+      return runTask(req, res, "apply", { ...body, forge: plan.forge, forge_host: plan.forge_host }, plan.repo);
+    }
+
+    if (req.method === "GET" && path === "/api/usage") {
+      const all = [...sessions.values()];
+      const total = all.reduce((sum, s) => sum + (s.cost_usd || 0), 0);
+      const byRepo = {};
+      for (const s of all) byRepo[s.repo] = { sessions: (byRepo[s.repo]?.sessions || 0) + 1, cost_usd: (byRepo[s.repo]?.cost_usd || 0) + (s.cost_usd || 0) };
+      return sendJson(res, 200, {
+        total_sessions: all.length,
+        total_cost_usd: Math.round(total * 100) / 100,
+        estimated_hours_saved: all.length * 1.5,
+        by_source: { mcp: all.length },
+        by_repo: byRepo,
+      });
+    }
+
+    return sendJson(res, 404, { error: `No mock for ${req.method} ${path}` });
+  }
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch((e) => sendJson(res, 500, { error: e.message }));
+  });
+  // Hanging "timeout" responses would otherwise keep close() waiting.
+  server.on("close", () => server.closeAllConnections?.());
+  return server;
+}
+
+// Starts a mock backend and resolves with the server and its base URL.
+async function startMockBackend({ host = "127.0.0.1", port = 0, ...options } = {}) {
+  const server = createMockBackend(options);
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      resolve({ server, url: `http://${host}:${server.address().port}` });
+    });
+  });
+}
+
+module.exports = { createMockBackend, startMockBackend, parseFaults };
+
+// ── CLI ─────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i === -1 ? undefined : args[i + 1];
+  };
+  startMockBackend({
+    host: option("host") || "127.0.0.1",
+    port: Number(option("port") || process.env.CLOUD_AGENT_MOCK_PORT || 4010),
+    latencyMs: Number(option("latency") ?? process.env.CLOUD_AGENT_MOCK_LATENCY_MS ?? DEFAULT_LATENCY_MS),
+    faults: option("fault") || process.env.CLOUD_AGENT_MOCK_FAULTS,
+  }).then(({ url }) => {
+    console.error(`Mock Cloud Agent backend listening on ${url}`);
+  }).catch((e) => {
+    console.error("Mock backend error:", e.message);
+    process.exit(1);
+  });
+}